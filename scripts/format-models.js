@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+/**
+ * Rewrite mental model markdown files in the canonical format of parser.serialize()
+ * Usage: node scripts/format-models.js [--check] [file.md ...]
+ * With --check, files are only compared and the command exits with code 1 if any
+ * would change. A file is never written unless parsing the new text gives the same data.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MentalModelsParser = require('../src/js/parser.js');
+
+// Parse diagnostics about content that is still parsed, so formatting keeps it
+const KEPT_CODES = ['unknown-metadata-key', 'id-collision', 'empty-description', 'invalid-id'];
+
+const args = process.argv.slice(2);
+const checkOnly = args.includes('--check');
+const files = args.filter((arg) => arg !== '--check');
+if (files.length === 0) {
+    files.push(path.join(__dirname, '..', 'src', 'data', 'mental-models.md'));
+}
+
+/**
+ * Whether two parsers hold the same categories, category metadata and models
+ */
+function sameData(a, b) {
+    const metaKey = (meta) =>
+        JSON.stringify(Object.entries(meta).sort(([keyA], [keyB]) => keyA.localeCompare(keyB)));
+    return (
+        JSON.stringify(a.categories) === JSON.stringify(b.categories) &&
+        a
+            .getCategoryNames()
+            .every(
+                (category) =>
+                    metaKey(a.getCategoryMeta(category)) === metaKey(b.getCategoryMeta(category))
+            )
+    );
+}
+
+let failedCount = 0;
+let changedCount = 0;
+
+files.forEach((file) => {
+    const displayName = path.relative(process.cwd(), file);
+    const text = fs.readFileSync(file, 'utf8');
+    const parser = new MentalModelsParser();
+    parser.parse(text);
+
+    // Formatting would drop lines the parser skipped
+    const lost = parser.diagnostics.filter((diagnostic) => !KEPT_CODES.includes(diagnostic.code));
+    if (lost.length > 0) {
+        lost.forEach((diagnostic) => {
+            console.log(MentalModelsParser.formatDiagnostic(diagnostic, displayName));
+        });
+        console.log(`${displayName}: not formatted; fix the problems above first`);
+        failedCount++;
+        return;
+    }
+
+    let output;
+    try {
+        output = parser.serialize();
+    } catch (error) {
+        console.log(`${displayName}: not formatted; ${error.message}`);
+        failedCount++;
+        return;
+    }
+
+    const check = new MentalModelsParser();
+    check.parse(output);
+    if (!sameData(parser, check)) {
+        console.log(`${displayName}: not formatted; the formatted file would parse differently`);
+        failedCount++;
+        return;
+    }
+
+    if (output === text) {
+        return;
+    }
+    changedCount++;
+    if (checkOnly) {
+        console.log(`${displayName}: needs formatting`);
+    } else {
+        fs.writeFileSync(file, output);
+        console.log(`${displayName}: formatted`);
+    }
+});
+
+console.log(
+    `${files.length} file(s), ${changedCount} ${checkOnly ? 'to format' : 'formatted'}, ` +
+        `${failedCount} failed`
+);
+process.exit(failedCount > 0 || (checkOnly && changedCount > 0) ? 1 : 0);
@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+/**
+ * Validate mental model markdown files
+ * Usage: node scripts/validate-models.js [file.md ...]
+ * Prints one diagnostic per line and exits with code 1 if any errors were found.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MentalModelsParser = require('../src/js/parser.js');
+const categoryConfigs = require('../src/data/categories.json');
+
+const files = process.argv.slice(2);
+if (files.length === 0) {
+    files.push(path.join(__dirname, '..', 'src', 'data', 'mental-models.md'));
+}
+
+const knownCategories = Object.keys(categoryConfigs);
+let errorCount = 0;
+let warningCount = 0;
+
+files.forEach((file) => {
+    const parser = new MentalModelsParser();
+    const result = parser.validate(fs.readFileSync(file, 'utf8'), { knownCategories });
+    const displayName = path.relative(process.cwd(), file);
+
+    result.diagnostics.forEach((diagnostic) => {
+        console.log(MentalModelsParser.formatDiagnostic(diagnostic, displayName));
+        if (diagnostic.severity === 'error') {
+            errorCount++;
+        } else {
+            warningCount++;
+        }
+    });
+
+    console.log(
+        `${displayName}: ${result.stats.totalModels} models in ${result.stats.totalCategories} categories`
+    );
+});
+
+console.log(`${errorCount} error(s), ${warningCount} warning(s)`);
+process.exit(errorCount > 0 ? 1 : 0);
@@ -0,0 +1,250 @@
+/**
+ * Accessibility
+ * Keyboard navigation between stars, an offscreen tree mirroring the constellation
+ * for screen readers, announcements of the selected model and a reduced-motion mode
+ */
+
+class AccessibilityManager {
+    /**
+     * @param {MentalModelsParser} parser - Source of models and categories
+     * @param {ConstellationVisualization} constellation - Stars to navigate
+     * @param {SearchManager} searchManager - Owner of the details panel
+     */
+    constructor(parser, constellation, searchManager) {
+        this.parser = parser;
+        this.constellation = constellation;
+        this.searchManager = searchManager;
+        this.storage = UserDataStore.getLocalStorage();
+        this.storageKey = 'constellation-reduced-motion';
+        this.motionQuery = window.matchMedia
+            ? window.matchMedia('(prefers-reduced-motion: reduce)')
+            : null;
+
+        this.reducedMotionToggle = document.getElementById('reduced-motion-toggle');
+        this.activeStar = null; // Star reached with the arrow keys
+        this.items = new Map(); // Model ID -> tree item
+
+        // Focusable stand-in for the canvas; the active star is its aria-activedescendant
+        this.tree = document.createElement('ul');
+        this.tree.className = 'visually-hidden';
+        this.tree.tabIndex = 0;
+        this.tree.setAttribute('role', 'tree');
+        this.tree.setAttribute(
+            'aria-label',
+            'Mental models. Up and down arrows move between models, left and right ' +
+                'between categories, Enter opens the details.'
+        );
+
+        this.announcer = document.createElement('div');
+        this.announcer.className = 'visually-hidden';
+        this.announcer.setAttribute('role', 'status');
+        this.announcer.setAttribute('aria-live', 'polite');
+
+        constellation.container.append(this.tree, this.announcer);
+        this.init();
+    }
+
+    /**
+     * Build the tree and apply the motion preference
+     */
+    init() {
+        this.buildTree();
+        this.addEventListeners();
+        this.applyReducedMotion(this.getReducedMotionPreference());
+    }
+
+    /**
+     * Add event listeners for the tree, selection and motion preference
+     */
+    addEventListeners() {
+        this.tree.addEventListener('keydown', (e) => this.onKeyDown(e));
+        this.tree.addEventListener('focus', () => this.syncVisibility());
+        this.tree.addEventListener('blur', () => {
+            if (this.constellation.hoveredStar === this.activeStar) {
+                this.constellation.setHoveredStar(null);
+            }
+        });
+
+        document.addEventListener('starSelected', (e) => this.onStarSelected(e.detail));
+        // Category filters, favourites only and search results all fire this
+        document.addEventListener('starsChanged', () => this.syncVisibility());
+
+        this.reducedMotionToggle.addEventListener('change', () => {
+            const enabled = this.reducedMotionToggle.checked;
+            if (this.storage) this.storage.setItem(this.storageKey, enabled ? 'on' : 'off');
+            this.applyReducedMotion(enabled);
+        });
+
+        // Follow the system setting unless the user chose for themselves
+        if (this.motionQuery && this.motionQuery.addEventListener) {
+            this.motionQuery.addEventListener('change', () => {
+                this.applyReducedMotion(this.getReducedMotionPreference());
+            });
+        }
+    }
+
+    /**
+     * Mirror the categories and their models as tree items
+     */
+    buildTree() {
+        this.tree.innerHTML = '';
+        this.items.clear();
+
+        this.parser.getCategoryNames().forEach((category) => {
+            const models = this.parser.getModelsByCategory(category);
+            const categoryItem = document.createElement('li');
+            categoryItem.setAttribute('role', 'treeitem');
+            categoryItem.setAttribute('aria-expanded', 'true');
+
+            const name = document.createElement('span');
+            name.textContent = `${category}, ${models.length} models`;
+            const group = document.createElement('ul');
+            group.setAttribute('role', 'group');
+
+            models.forEach((model) => {
+                const item = document.createElement('li');
+                item.id = `tree-model-${model.id}`;
+                item.setAttribute('role', 'treeitem');
+                item.setAttribute('aria-selected', 'false');
+                item.textContent = model.name;
+                group.appendChild(item);
+                this.items.set(model.id, item);
+            });
+
+            categoryItem.append(name, group);
+            this.tree.appendChild(categoryItem);
+        });
+    }
+
+    /**
+     * Hide tree items whose stars are filtered out
+     */
+    syncVisibility() {
+        this.items.forEach((item, modelId) => {
+            const star = this.constellation.stars.get(modelId);
+            item.hidden = !star || !this.constellation.isStarVisible(star);
+        });
+    }
+
+    /**
+     * Get the visible stars in tree order, grouped by category
+     * @returns {Array<Array<THREE.Object3D>>} One non-empty array per category
+     */
+    getVisibleStars() {
+        return this.parser
+            .getCategoryNames()
+            .map((category) =>
+                this.parser
+                    .getModelsByCategory(category)
+                    .map((model) => this.constellation.stars.get(model.id))
+                    .filter((star) => star && this.constellation.isStarVisible(star))
+            )
+            .filter((stars) => stars.length > 0);
+    }
+
+    /**
+     * Move between stars with the arrow keys, Home and End; Enter opens the details
+     * @param {KeyboardEvent} event
+     */
+    onKeyDown(event) {
+        const groups = this.getVisibleStars();
+        if (!groups.length) return;
+
+        const flat = groups.flat();
+        const index = flat.indexOf(this.activeStar);
+        const groupIndex = groups.findIndex((stars) => stars.includes(this.activeStar));
+        const position = groupIndex > -1 ? groups[groupIndex].indexOf(this.activeStar) : 0;
+
+        // Right and left keep the position within the category where possible
+        const inCategory = (offset) => {
+            const target = Math.max(0, Math.min(groups.length - 1, groupIndex + offset));
+            const stars = groups[target];
+            return stars[Math.min(position, stars.length - 1)];
+        };
+
+        const moves = {
+            ArrowDown: () => flat[Math.min(flat.length - 1, index + 1)],
+            ArrowUp: () => flat[Math.max(0, index - 1)],
+            ArrowRight: () => inCategory(1),
+            ArrowLeft: () => inCategory(-1),
+            Home: () => flat[0],
+            End: () => flat[flat.length - 1],
+        };
+
+        if (moves[event.key]) {
+            event.preventDefault();
+            // The first key press starts at the first star
+            this.setActiveStar(index === -1 ? flat[0] : moves[event.key]());
+        } else if (event.key === 'Enter' && index > -1) {
+            event.preventDefault();
+            this.constellation.selectStar(this.activeStar);
+            this.searchManager.focusDetailsPanel();
+        }
+    }
+
+    /**
+     * Point keyboard focus at a star, showing its tooltip and bringing it into view
+     * @param {THREE.Object3D} star
+     */
+    setActiveStar(star) {
+        this.activeStar = star;
+        this.tree.setAttribute('aria-activedescendant', this.items.get(star.userData.id).id);
+
+        this.constellation.setHoveredStar(star);
+        this.constellation.flyToStar(star);
+    }
+
+    /**
+     * Mark the selected model in the tree and announce it
+     * @param {Object} model - Selected model
+     */
+    onStarSelected(model) {
+        this.items.forEach((item, modelId) => {
+            item.setAttribute('aria-selected', String(modelId === model.id));
+        });
+
+        // Arrow keys carry on from the selected star
+        const star = this.constellation.stars.get(model.id);
+        if (star) {
+            this.activeStar = star;
+            this.tree.setAttribute('aria-activedescendant', this.items.get(model.id).id);
+        }
+        this.announcer.textContent = `Selected ${model.name}, in ${model.category}. ${model.description}`;
+    }
+
+    /**
+     * Whether to reduce motion: the user's choice if they made one, else the system setting
+     * @returns {boolean}
+     */
+    getReducedMotionPreference() {
+        const stored = this.storage && this.storage.getItem(this.storageKey);
+        if (stored) return stored === 'on';
+        return Boolean(this.motionQuery && this.motionQuery.matches);
+    }
+
+    /**
+     * Turn reduced motion on or off
+     * @param {boolean} enabled
+     */
+    applyReducedMotion(enabled) {
+        this.reducedMotionToggle.checked = enabled;
+        this.constellation.setReducedMotion(enabled);
+    }
+
+    /**
+     * Rebuild the tree after the dataset changed
+     */
+    refresh() {
+        this.activeStar = null;
+        this.tree.removeAttribute('aria-activedescendant');
+        this.buildTree();
+        this.syncVisibility();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AccessibilityManager;
+} else if (typeof window !== 'undefined') {
+    window.AccessibilityManager = AccessibilityManager;
+}
@@ -0,0 +1,262 @@
+/**
+ * Canvas Fallback Renderer
+ * Draws the constellation scene on a 2D canvas for browsers without WebGL.
+ * Implements the part of THREE.WebGLRenderer that ConstellationVisualization
+ * uses, so the scene, picking, selection, filters and highlights stay the same.
+ */
+
+class CanvasFallbackRenderer {
+    constructor() {
+        this.isFallbackRenderer = true;
+        this.domElement = document.createElement('canvas');
+        this.context = this.domElement.getContext('2d');
+        this.width = 0;
+        this.height = 0;
+        this.pixelRatio = 1;
+        this.info = { render: { calls: 0, triangles: 0 } };
+    }
+
+    /**
+     * @param {number} ratio - Device pixels per CSS pixel
+     */
+    setPixelRatio(ratio) {
+        this.pixelRatio = ratio;
+        this.setSize(this.width, this.height);
+    }
+
+    /**
+     * Resize the canvas
+     * @param {number} width - Width in CSS pixels
+     * @param {number} height - Height in CSS pixels
+     */
+    setSize(width, height) {
+        this.width = width;
+        this.height = height;
+        this.domElement.width = Math.floor(width * this.pixelRatio);
+        this.domElement.height = Math.floor(height * this.pixelRatio);
+        this.domElement.style.width = `${width}px`;
+        this.domElement.style.height = `${height}px`;
+    }
+
+    /**
+     * Draw the instanced stars, points and line segments of a scene, furthest first.
+     * Lighting is left out; fog fades shapes into the background.
+     * @param {THREE.Scene} scene
+     * @param {THREE.PerspectiveCamera} camera
+     */
+    render(scene, camera) {
+        const context = this.context;
+        context.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+        context.globalAlpha = 1;
+        context.fillStyle = scene.background ? scene.background.getStyle() : '#000000';
+        context.fillRect(0, 0, this.width, this.height);
+
+        scene.updateMatrixWorld();
+        camera.updateMatrixWorld();
+
+        const shapes = [];
+        scene.traverseVisible((object) => {
+            if (object.isInstancedMesh) {
+                this.collectInstances(object, scene, camera, shapes);
+            } else if (object.isPoints) {
+                this.collectPoints(object, scene, camera, shapes);
+            } else if (object.isLineSegments) {
+                this.collectLines(object, scene, camera, shapes);
+            }
+        });
+
+        // Larger shapes first at the same depth, so star cores sit on their glows
+        shapes.sort((a, b) => b.depth - a.depth || b.size - a.size);
+        shapes.forEach((shape) => this.drawShape(shape));
+
+        this.info.render.calls = shapes.length;
+        this.info.render.triangles = 0;
+    }
+
+    /**
+     * Add a circle per instance of a sphere mesh
+     */
+    collectInstances(mesh, scene, camera, shapes) {
+        const radius = mesh.geometry.parameters.radius;
+        const material = mesh.material;
+        const matrix = new THREE.Matrix4();
+        const position = new THREE.Vector3();
+        const quaternion = new THREE.Quaternion();
+        const scale = new THREE.Vector3();
+        const color = new THREE.Color();
+
+        for (let index = 0; index < mesh.count; index++) {
+            mesh.getMatrixAt(index, matrix);
+            matrix.premultiply(mesh.matrixWorld).decompose(position, quaternion, scale);
+
+            const point = this.project(position, camera);
+            if (!point) continue;
+
+            if (mesh.instanceColor) {
+                mesh.getColorAt(index, color);
+            } else {
+                color.copy(material.color);
+            }
+            shapes.push({
+                type: 'circle',
+                x: point.x,
+                y: point.y,
+                depth: point.depth,
+                size: this.getPixelSize(radius * scale.x, point.depth, camera),
+                color: color.getStyle(),
+                alpha: material.opacity * this.getFogFactor(scene, point.depth),
+            });
+        }
+    }
+
+    /**
+     * Add a square per point, like the background star field
+     */
+    collectPoints(points, scene, camera, shapes) {
+        const positions = points.geometry.attributes.position;
+        const material = points.material;
+        const position = new THREE.Vector3();
+        const color = material.color.getStyle();
+
+        for (let index = 0; index < positions.count; index++) {
+            position.fromBufferAttribute(positions, index).applyMatrix4(points.matrixWorld);
+            const point = this.project(position, camera);
+            if (!point) continue;
+
+            shapes.push({
+                type: 'square',
+                x: point.x,
+                y: point.y,
+                depth: point.depth,
+                size: Math.max(1, this.getPixelSize(material.size / 2, point.depth, camera)),
+                color: color,
+                alpha: material.opacity * this.getFogFactor(scene, point.depth),
+            });
+        }
+    }
+
+    /**
+     * Add a line per segment, coloured by its first vertex when the lines have colours
+     */
+    collectLines(lines, scene, camera, shapes) {
+        const { position: positions, color: colors } = lines.geometry.attributes;
+        const material = lines.material;
+        const start = new THREE.Vector3();
+        const end = new THREE.Vector3();
+        const color = new THREE.Color();
+
+        for (let index = 0; index + 1 < positions.count; index += 2) {
+            start.fromBufferAttribute(positions, index).applyMatrix4(lines.matrixWorld);
+            end.fromBufferAttribute(positions, index + 1).applyMatrix4(lines.matrixWorld);
+            if (start.equals(end)) continue;
+
+            const from = this.project(start, camera);
+            const to = this.project(end, camera);
+            if (!from || !to) continue;
+
+            if (material.vertexColors && colors) {
+                color.fromBufferAttribute(colors, index);
+            } else {
+                color.copy(material.color);
+            }
+            const depth = (from.depth + to.depth) / 2;
+            shapes.push({
+                type: 'line',
+                x: from.x,
+                y: from.y,
+                toX: to.x,
+                toY: to.y,
+                depth: depth,
+                size: 0,
+                color: color.getStyle(),
+                alpha: material.opacity * this.getFogFactor(scene, depth),
+            });
+        }
+    }
+
+    /**
+     * @param {Object} shape - From one of the collect methods
+     */
+    drawShape(shape) {
+        if (shape.alpha <= 0) return;
+
+        const context = this.context;
+        context.globalAlpha = Math.min(1, shape.alpha);
+        context.fillStyle = shape.color;
+        context.strokeStyle = shape.color;
+
+        if (shape.type === 'circle') {
+            context.beginPath();
+            context.arc(shape.x, shape.y, shape.size, 0, Math.PI * 2);
+            context.fill();
+        } else if (shape.type === 'square') {
+            context.fillRect(
+                shape.x - shape.size / 2,
+                shape.y - shape.size / 2,
+                shape.size,
+                shape.size
+            );
+        } else {
+            context.beginPath();
+            context.moveTo(shape.x, shape.y);
+            context.lineTo(shape.toX, shape.toY);
+            context.stroke();
+        }
+    }
+
+    /**
+     * Project a world position onto the canvas
+     * @param {THREE.Vector3} position - World position; not modified
+     * @param {THREE.PerspectiveCamera} camera
+     * @returns {Object|null} `{ x, y, depth }` in CSS pixels and world units,
+     *     or null if the point is behind the camera's near plane
+     */
+    project(position, camera) {
+        const view = position.clone().applyMatrix4(camera.matrixWorldInverse);
+        const depth = -view.z;
+        if (depth < camera.near || depth > camera.far) return null;
+
+        view.applyMatrix4(camera.projectionMatrix);
+        return {
+            x: ((view.x + 1) / 2) * this.width,
+            y: ((1 - view.y) / 2) * this.height,
+            depth: depth,
+        };
+    }
+
+    /**
+     * Size on screen of a length at a distance from the camera
+     * @param {number} length - Length in world units
+     * @param {number} depth - Distance from the camera along its view direction
+     * @param {THREE.PerspectiveCamera} camera
+     * @returns {number} Length in CSS pixels
+     */
+    getPixelSize(length, depth, camera) {
+        const halfFov = THREE.MathUtils.degToRad(camera.fov / 2);
+        return (length * this.height) / (2 * depth * Math.tan(halfFov));
+    }
+
+    /**
+     * How much of a shape shows through linear fog; the fog matches the background
+     * @param {THREE.Scene} scene
+     * @param {number} depth - Distance from the camera
+     * @returns {number} Opacity factor from 0 to 1
+     */
+    getFogFactor(scene, depth) {
+        if (!scene.fog) return 1;
+        const { near, far } = scene.fog;
+        return 1 - Math.max(0, Math.min(1, (depth - near) / (far - near)));
+    }
+
+    /**
+     * Nothing to free; present for parity with THREE.WebGLRenderer
+     */
+    dispose() {}
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CanvasFallbackRenderer;
+} else if (typeof window !== 'undefined') {
+    window.CanvasFallbackRenderer = CanvasFallbackRenderer;
+}
@@ -0,0 +1,211 @@
+/**
+ * Category Configuration
+ * Resolves colour, icon, description and position for every category,
+ * assigning colours and positions automatically where none are configured
+ */
+
+class CategoryRegistry {
+    /**
+     * @param {Object} configs - Category configs keyed by name, e.g. from categories.json
+     */
+    constructor(configs = {}) {
+        this.configs = {};
+
+        for (const [category, config] of Object.entries(configs)) {
+            this.configs[category] = CategoryRegistry.normalize(config);
+        }
+    }
+
+    /**
+     * Resolve a complete config for each category
+     * @param {Array<string>} categoryNames - Categories in display order
+     * @param {Object} [overrides] - Per-category configs that take precedence,
+     *     e.g. metadata written under a `## Category` header
+     * @returns {Object} Configs keyed by category name
+     */
+    resolve(categoryNames, overrides = {}) {
+        const resolved = {};
+        const usedColors = [];
+        const usedPositions = [];
+
+        // Configured values first, so automatic ones can avoid them
+        categoryNames.forEach((category) => {
+            const config = Object.assign(
+                { icon: '', description: '' },
+                this.configFor(category),
+                CategoryRegistry.normalize(overrides[category] || {})
+            );
+            if (config.color !== undefined) usedColors.push(config.color);
+            // Two sources can share a category name, and so its configured position
+            if (usedPositions.includes(config.position)) delete config.position;
+            if (config.position) usedPositions.push(config.position);
+            resolved[category] = config;
+        });
+
+        categoryNames.forEach((category, index) => {
+            const config = resolved[category];
+            if (config.color === undefined) {
+                config.color = this.autoColor(index, usedColors);
+                usedColors.push(config.color);
+            }
+            if (!config.position) {
+                config.position = this.autoPosition(usedPositions);
+                usedPositions.push(config.position);
+            }
+        });
+
+        return resolved;
+    }
+
+    /**
+     * Find the configured values for a category. Categories of multi-source
+     * collections are namespaced, e.g. "Core / Systems", and fall back to the
+     * config of their own name.
+     * @param {string} category - Category name
+     * @returns {Object|undefined} Normalised config
+     */
+    configFor(category) {
+        return this.configs[category] || this.configs[category.split(' / ').pop()];
+    }
+
+    /**
+     * Pick a colour by stepping the hue by the golden angle, skipping hues
+     * that are too close to colours already in use
+     * @param {number} index - Category index, used as the starting step
+     * @param {Array<number>} usedColors - Colours already assigned
+     * @returns {number} Colour as 0xRRGGBB
+     */
+    autoColor(index, usedColors) {
+        const usedHues = usedColors.map((color) => CategoryRegistry.hueOf(color));
+        let hue = 0;
+
+        for (let step = index; step < index + 36; step++) {
+            hue = (step * 137.508) % 360;
+            const distance = Math.min(
+                ...usedHues.map((used) =>
+                    Math.min(Math.abs(hue - used), 360 - Math.abs(hue - used))
+                ),
+                360
+            );
+            if (distance >= 12) break;
+        }
+
+        return CategoryRegistry.hslToHex(hue, 0.65, 0.55);
+    }
+
+    /**
+     * Pick the point on a sphere that lies farthest from all used positions
+     * @param {Array<Object>} usedPositions - Positions already assigned
+     * @returns {Object} Position with x, y and z
+     */
+    autoPosition(usedPositions) {
+        const candidates = 64;
+        const radius = 40;
+        let best = null;
+        let bestDistance = -1;
+
+        for (let i = 0; i < candidates; i++) {
+            // Fibonacci sphere: evenly spread, deterministic candidates
+            const y = 1 - (2 * (i + 0.5)) / candidates;
+            const ring = Math.sqrt(1 - y * y);
+            const theta = i * Math.PI * (3 - Math.sqrt(5));
+            const candidate = {
+                x: Math.round(Math.cos(theta) * ring * radius),
+                y: Math.round(y * radius * 0.8),
+                z: Math.round(Math.sin(theta) * ring * radius),
+            };
+
+            const distance = Math.min(
+                ...usedPositions.map((used) =>
+                    Math.hypot(candidate.x - used.x, candidate.y - used.y, candidate.z - used.z)
+                ),
+                Infinity
+            );
+            if (distance > bestDistance) {
+                best = candidate;
+                bestDistance = distance;
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Normalise a raw config: colours may be "#rrggbb" strings or numbers
+     * @param {Object} config - Raw config
+     * @returns {Object} Config with only the recognised, valid fields
+     */
+    static normalize(config) {
+        const normalized = {};
+
+        if (typeof config.color === 'number') {
+            normalized.color = config.color;
+        } else if (typeof config.color === 'string' && /^#?[0-9a-f]{6}$/i.test(config.color)) {
+            normalized.color = parseInt(config.color.replace('#', ''), 16);
+        }
+        if (config.icon) normalized.icon = config.icon;
+        if (config.description) normalized.description = config.description;
+        if (config.position && ['x', 'y', 'z'].every((axis) => isFinite(config.position[axis]))) {
+            normalized.position = {
+                x: Number(config.position.x),
+                y: Number(config.position.y),
+                z: Number(config.position.z),
+            };
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Format a 0xRRGGBB colour as a CSS hex string
+     * @param {number} color - Colour number
+     * @returns {string} CSS colour
+     */
+    static toCss(color) {
+        return `#${color.toString(16).padStart(6, '0')}`;
+    }
+
+    /**
+     * Get the hue (0-360) of a 0xRRGGBB colour
+     * @param {number} color - Colour number
+     * @returns {number} Hue in degrees
+     */
+    static hueOf(color) {
+        const r = ((color >> 16) & 0xff) / 255;
+        const g = ((color >> 8) & 0xff) / 255;
+        const b = (color & 0xff) / 255;
+        const max = Math.max(r, g, b);
+        const delta = max - Math.min(r, g, b);
+
+        if (delta === 0) return 0;
+        let hue;
+        if (max === r) hue = ((g - b) / delta) % 6;
+        else if (max === g) hue = (b - r) / delta + 2;
+        else hue = (r - g) / delta + 4;
+        return (hue * 60 + 360) % 360;
+    }
+
+    /**
+     * Convert HSL to a 0xRRGGBB colour
+     * @param {number} hue - Hue in degrees
+     * @param {number} saturation - 0 to 1
+     * @param {number} lightness - 0 to 1
+     * @returns {number} Colour number
+     */
+    static hslToHex(hue, saturation, lightness) {
+        const chroma = (1 - Math.abs(2 * lightness - 1)) * saturation;
+        const channel = (n) => {
+            const k = (n + hue / 30) % 12;
+            const value = lightness - (chroma / 2) * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+            return Math.round(value * 255);
+        };
+        return (channel(0) << 16) | (channel(8) << 8) | channel(4);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CategoryRegistry;
+} else {
+    window.CategoryRegistry = CategoryRegistry;
+}
@@ -0,0 +1,186 @@
+/**
+ * Collection Switching
+ * Lets the user switch between model collections and open local markdown files
+ */
+
+class CollectionManager {
+    /**
+     * @param {DataLoader} loader - Loader used to fetch collection sources
+     * @param {Array<Object>} collections - Collections from collections.json
+     * @param {string} activeId - ID of the collection that is currently shown
+     * @param {Function} onLoad - Called with the loaded sources; returns false
+     *     if they contained no models
+     */
+    constructor(loader, collections, activeId, onLoad) {
+        this.loader = loader;
+        this.collections = collections.slice();
+        this.activeId = activeId;
+        this.onLoad = onLoad;
+        this.localSources = new Map();
+
+        this.select = document.getElementById('collection-select');
+        this.openFileButton = document.getElementById('open-file-button');
+        this.fileInput = document.getElementById('collection-file-input');
+        this.status = document.getElementById('collection-status');
+        this.dropTarget = document.getElementById('constellation-container');
+
+        this.init();
+    }
+
+    /**
+     * Initialize the collection controls
+     */
+    init() {
+        this.collections.forEach((collection) => this.addOption(collection));
+        this.select.value = this.activeId;
+        this.addEventListeners();
+    }
+
+    /**
+     * Add event listeners for the select, file picker and drag-and-drop
+     */
+    addEventListeners() {
+        this.select.addEventListener('change', () => {
+            this.loadCollection(this.select.value);
+        });
+
+        this.openFileButton.addEventListener('click', () => {
+            this.fileInput.click();
+        });
+
+        this.fileInput.addEventListener('change', () => {
+            this.loadFiles(this.fileInput.files);
+            this.fileInput.value = '';
+        });
+
+        this.dropTarget.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+            this.dropTarget.classList.add('drag-over');
+        });
+
+        this.dropTarget.addEventListener('dragleave', () => {
+            this.dropTarget.classList.remove('drag-over');
+        });
+
+        this.dropTarget.addEventListener('drop', (e) => {
+            e.preventDefault();
+            this.dropTarget.classList.remove('drag-over');
+            this.loadFiles(e.dataTransfer.files);
+        });
+    }
+
+    /**
+     * Add a collection to the select
+     */
+    addOption(collection) {
+        const option = document.createElement('option');
+        option.value = collection.id;
+        option.textContent = collection.name;
+        this.select.appendChild(option);
+    }
+
+    /**
+     * Switch to a collection by ID
+     */
+    async loadCollection(collectionId) {
+        const collection = this.collections.find((item) => item.id === collectionId);
+        if (!collection) return;
+
+        this.setStatus(`Loading ${collection.name}...`);
+        try {
+            const sources = this.localSources.has(collectionId)
+                ? this.localSources.get(collectionId)
+                : await this.loader.loadCollection(collection);
+
+            this.apply(collection, sources);
+        } catch (error) {
+            this.fail(collection.name, error);
+        }
+    }
+
+    /**
+     * Load local markdown files as a new collection
+     */
+    async loadFiles(files) {
+        let sources;
+        try {
+            sources = await this.loader.readFiles(files);
+        } catch (error) {
+            this.fail('the files', error);
+            return;
+        }
+        if (sources.length === 0) {
+            this.setStatus('Only .md files can be opened.');
+            return;
+        }
+
+        const collection = {
+            id: `local-${this.localSources.size + 1}`,
+            name: `Local: ${sources.map((source) => source.name).join(', ')}`,
+            sources: [],
+        };
+        this.localSources.set(collection.id, sources);
+        let loaded = false;
+        try {
+            loaded = this.apply(collection, sources);
+        } catch (error) {
+            this.fail(collection.name, error);
+        }
+        if (!loaded) {
+            this.localSources.delete(collection.id);
+            return;
+        }
+
+        // Only offer files that loaded
+        this.collections.push(collection);
+        this.addOption(collection);
+        this.select.value = collection.id;
+    }
+
+    /**
+     * Hand loaded sources to the app and update the controls
+     * @returns {boolean} False if the sources contained no models
+     */
+    apply(collection, sources) {
+        if (this.onLoad(sources, collection) === false) {
+            this.setStatus(`No mental models found in ${collection.name}.`);
+            this.select.value = this.activeId;
+            return false;
+        }
+
+        this.activeId = collection.id;
+        this.select.value = collection.id;
+        this.setStatus('');
+
+        if (!this.localSources.has(collection.id)) {
+            localStorage.setItem('constellation-collection', collection.id);
+        }
+        return true;
+    }
+
+    /**
+     * Report a collection that could not be loaded and keep the current one selected
+     * @param {string} name - What was being loaded
+     * @param {Error} error - Why it failed
+     */
+    fail(name, error) {
+        console.error(`Could not load ${name}:`, error);
+        this.setStatus(`Could not load ${name}.`);
+        this.select.value = this.activeId;
+    }
+
+    /**
+     * Show a short status message below the controls
+     */
+    setStatus(message) {
+        this.status.textContent = message;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CollectionManager;
+} else if (typeof window !== 'undefined') {
+    window.CollectionManager = CollectionManager;
+}
@@ -4,7 +4,16 @@
  */
 
 class ConstellationVisualization {
-    constructor(containerId, data) {
+    /**
+     * @param {string} containerId - ID of the element to render into
+     * @param {Object} data - Parsed models keyed by category
+     * @param {Object} [categoryConfigs] - Resolved configs from CategoryRegistry;
+     *     colours and positions are assigned automatically when omitted
+     * @param {Object} [options]
+     * @param {string} [options.layout] - Initial layout, a key of LayoutEngine.LAYOUTS
+     * @param {boolean} [options.reducedMotion] - Start without rotation and animations
+     */
+    constructor(containerId, data, categoryConfigs, options = {}) {
         this.container = document.getElementById(containerId);
         this.data = data;
         this.scene = null;
@@ -13,54 +22,44 @@ class ConstellationVisualization {
         this.raycaster = new THREE.Raycaster();
         this.mouse = new THREE.Vector2();
         this.stars = new Map(); // Map to store star objects by model ID
+        this.starLevels = []; // Instanced star meshes per level of detail, see createStarMeshes
+        this.starColors = new Map(); // Star -> current THREE.Color
+        this.starColorOverrides = null; // Colours from setStarColors
+        this.glowRadius = 1.2;
+        this.needsRender = true; // Something changed since the last frame was drawn
+        this.suspended = false; // Hidden behind another view, see setVisible
+        this.frameStats = { rendered: 0, skipped: 0, frameTimes: [], timestamps: [] };
+        this.frameStatsSize = 120; // Rendered frames averaged by getFrameStats
+        this.contextLost = false; // WebGL context lost and not yet restored
+        this.contextLostTimer = null;
+        this.contextRestoreTimeout = 3000; // ms to wait for a lost context before drawing in 2D
         this.constellations = new Map(); // Map to store constellation line groups
         this.selectedStar = null;
-        this.isRotating = true;
+        this.hoveredStar = null;
+        this.hoverPending = false; // Pointer moved since the last hover check
+        this.lastHoverTime = 0;
+        this.hoverInterval = 50; // ms between hover raycasts
+        this.highlightedIds = new Set(); // Search results
+        this.reducedMotion = Boolean(options.reducedMotion);
+        this.isRotating = !this.reducedMotion;
+        this.rotationPaused = false; // Paused with Space
         this.rotationSpeed = 0.001;
+        this.relations = []; // Edges between related models
+        this.relationLines = null; // Line segments for all relations
+        this.selectedRelationLines = null; // Brighter line segments for the selected star
+        this.selectedRelations = []; // Edges touching the selected star
+        this.showRelations = true;
+        this.layoutEngine = new LayoutEngine();
+        this.layoutName = options.layout || 'ring';
+        this.layoutTransition = null; // In-progress animation between layouts
+        this.layoutTransitionDuration = 1200; // ms
+        this.cameraFlight = null; // In-progress or following camera move, see flyToStar
+        this.cameraFlightDuration = 1000; // ms
+        this.focusDistance = 15; // Camera distance from a star it flies to
 
         // Category constellation configurations
-        this.categoryConfigs = {
-            'Economics and Strategy': {
-                color: 0xff6b35,
-                position: { x: 0, y: 30, z: 0 },
-            },
-            'Human Nature and Judgment': {
-                color: 0x9b59b6,
-                position: { x: -35, y: 0, z: 15 },
-            },
-            'Numeracy and Interpretation': {
-                color: 0xe67e22,
-                position: { x: 35, y: 0, z: 15 },
-            },
-            Thinking: {
-                color: 0x3498db,
-                position: { x: 0, y: -30, z: 15 },
-            },
-            Systems: {
-                color: 0x2ecc71,
-                position: { x: -40, y: 15, z: -15 },
-            },
-            'Biological World': {
-                color: 0x1abc9c, // Turquoise
-                position: { x: 40, y: 15, z: -15 },
-            },
-            'Physical World': {
-                color: 0xe74c3c,
-                position: { x: 0, y: 35, z: -20 },
-            },
-            'Military and War': {
-                color: 0xff0000,
-                position: { x: -30, y: -20, z: -15 },
-            },
-            'Political Failure': {
-                color: 0xf39c12,
-                position: { x: 30, y: -20, z: -15 },
-            },
-            'Rule of Law': {
-                color: 0xf1c40f,
-                position: { x: 0, y: 0, z: -30 },
-            },
-        };
+        this.categoryConfigs =
+            categoryConfigs || new CategoryRegistry().resolve(Object.keys(data || {}));
 
         this.init();
     }
@@ -76,6 +75,7 @@ class ConstellationVisualization {
         this.createStarField();
         this.createConstellations();
         this.createControls();
+        this.labels = new LabelLayer(this);
         this.addEventListeners();
         this.animate();
     }
@@ -108,12 +108,67 @@ class ConstellationVisualization {
      * Create the renderer
      */
     createRenderer() {
-        this.renderer = new THREE.WebGLRenderer({ antialias: true });
+        if (ConstellationVisualization.isWebGLAvailable()) {
+            try {
+                this.renderer = new THREE.WebGLRenderer({ antialias: true });
+            } catch (error) {
+                console.warn('WebGL renderer failed, drawing in 2D instead:', error);
+            }
+        }
+        if (!this.renderer) {
+            this.renderer = new CanvasFallbackRenderer();
+            this.showFallbackNotice();
+        }
         this.renderer.setSize(this.container.clientWidth, this.container.clientHeight);
         this.renderer.setPixelRatio(window.devicePixelRatio);
         this.container.appendChild(this.renderer.domElement);
     }
 
+    /**
+     * Whether the browser can create a WebGL context at all
+     * @returns {boolean}
+     */
+    static isWebGLAvailable() {
+        try {
+            const canvas = document.createElement('canvas');
+            return Boolean(
+                window.WebGLRenderingContext &&
+                    (canvas.getContext('webgl') || canvas.getContext('experimental-webgl'))
+            );
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Replace the WebGL renderer with the 2D one, keeping the scene and its state
+     */
+    useFallbackRenderer() {
+        const previous = this.renderer.domElement;
+        this.renderer.dispose();
+
+        this.renderer = new CanvasFallbackRenderer();
+        this.renderer.setSize(this.container.clientWidth, this.container.clientHeight);
+        this.renderer.setPixelRatio(window.devicePixelRatio);
+        previous.replaceWith(this.renderer.domElement);
+        this.addCanvasListeners(this.renderer.domElement);
+
+        this.contextLost = false;
+        this.showFallbackNotice();
+        this.requestRender();
+    }
+
+    /**
+     * Tell the user that the view is drawn without 3D acceleration
+     */
+    showFallbackNotice() {
+        const notice = document.createElement('div');
+        notice.className = 'renderer-notice';
+        notice.setAttribute('role', 'status');
+        notice.textContent = '3D acceleration is unavailable, so a simplified view is shown.';
+        this.container.appendChild(notice);
+    }
+
     /**
      * Create lights for the scene
      */
@@ -157,85 +212,256 @@ class ConstellationVisualization {
      * Create constellations for each category
      */
     createConstellations() {
+        const layout = this.computeLayout();
         for (const [category, models] of Object.entries(this.data)) {
-            if (this.categoryConfigs[category]) {
-                this.createCategoryConstellation(category, models);
-            }
+            this.createCategoryConstellation(category, models, layout);
         }
+        this.createStarMeshes();
+    }
+
+    /**
+     * Replace the shown dataset, rebuilding all constellations
+     * @param {Object} data - Parsed models keyed by category
+     * @param {Object} categoryConfigs - Resolved configs for the new categories
+     */
+    setData(data, categoryConfigs) {
+        this.removeRelationLines();
+        this.removeConstellations();
+        this.layoutTransition = null;
+        this.cameraFlight = null;
+        this.data = data;
+        this.categoryConfigs = categoryConfigs;
+        this.createConstellations();
+        this.requestRender();
+        this.notifyStarsChanged();
+    }
+
+    /**
+     * Remove all constellations from the scene and free their GPU resources
+     */
+    removeConstellations() {
+        this.constellations.forEach((constellation) => {
+            this.scene.remove(constellation);
+        });
+        this.removeStarMeshes();
+        this.constellations.clear();
+        this.stars.clear();
+        this.starColors.clear();
+        this.starColorOverrides = null;
+        this.selectedStar = null;
+        this.hoveredStar = null;
+        this.highlightedIds.clear();
+        this.labels.clear();
+    }
+
+    /**
+     * Remove the instanced star meshes, leaving the stars themselves
+     */
+    removeStarMeshes() {
+        this.starLevels.forEach((level) => {
+            [level.core, level.glow].forEach((mesh) => {
+                this.scene.remove(mesh);
+                mesh.geometry.dispose();
+                mesh.material.dispose();
+            });
+        });
+        this.starLevels = [];
     }
 
     /**
      * Create constellation for a specific category
      * @param {string} category - Category name
      * @param {Array} models - Array of mental models in this category
+     * @param {Object} layout - Positions from LayoutEngine
      */
-    createCategoryConstellation(category, models) {
-        const config = this.categoryConfigs[category];
+    createCategoryConstellation(category, models, layout) {
         const constellationGroup = new THREE.Group();
         constellationGroup.userData = { category: category };
 
         // Create stars for each mental model
-        models.forEach((model, index) => {
-            const star = this.createStar(model, config, index, models.length);
+        models.forEach((model) => {
+            const star = this.createStar(model);
+            star.position.copy(layout.offsets.get(model.id));
             constellationGroup.add(star);
             this.stars.set(model.id, star);
         });
 
         // Position the constellation
-        constellationGroup.position.set(config.position.x, config.position.y, config.position.z);
+        constellationGroup.position.copy(layout.centers[category]);
 
         this.scene.add(constellationGroup);
         this.constellations.set(category, constellationGroup);
     }
 
     /**
-     * Create a star for a mental model
+     * Create a star for a mental model. The star only places the model in its
+     * constellation; createStarMeshes draws all stars at once.
      * @param {Object} model - Mental model object
-     * @param {Object} config - Category configuration
-     * @param {number} index - Index of the model in the category
-     * @param {number} total - Total number of models in the category
-     * @returns {THREE.Mesh} Star mesh
+     * @returns {THREE.Object3D} Star
+     */
+    createStar(model) {
+        const star = new THREE.Object3D();
+
+        // Store model data in star
+        star.userData = model;
+
+        return star;
+    }
+
+    /**
+     * Draw the stars as instances of a core mesh and a glow mesh, so thousands of
+     * models take a few draw calls. There is a pair of meshes per level of detail;
+     * updateStarInstances sorts the stars into them by distance from the camera.
      */
-    createStar(model, config, index, total) {
-        // Create star geometry - larger for mobile devices
-        const baseSize = window.innerWidth <= 768 ? 1.2 : 0.8;
-        const geometry = new THREE.SphereGeometry(baseSize, 16, 16);
+    createStarMeshes() {
+        const capacity = this.stars.size;
+
+        // Larger stars for mobile devices
+        const isMobile = window.innerWidth <= 768;
+        const coreRadius = isMobile ? 1.2 : 0.8;
+        this.glowRadius = isMobile ? 2.0 : 1.2;
+
+        this.starLevels = ConstellationVisualization.DETAIL_LEVELS.map((level) => {
+            const segments = level.segments;
+            return {
+                distance: level.distance,
+                core: this.createStarMesh(
+                    new THREE.SphereGeometry(coreRadius, segments, segments),
+                    this.createStarCoreMaterial(),
+                    capacity
+                ),
+                glow: this.createStarMesh(
+                    new THREE.SphereGeometry(this.glowRadius, segments, segments),
+                    new THREE.MeshBasicMaterial({ transparent: true, opacity: 0.3 }),
+                    capacity
+                ),
+                stars: [], // Star drawn by each instance
+            };
+        });
+
+        this.stars.forEach((star) => this.updateStarColor(star));
+    }
 
-        // Create material with category color
+    /**
+     * Create an empty instanced mesh with room for every star
+     * @param {THREE.BufferGeometry} geometry
+     * @param {THREE.Material} material
+     * @param {number} capacity - Maximum number of instances
+     * @returns {THREE.InstancedMesh}
+     */
+    createStarMesh(geometry, material, capacity) {
+        const mesh = new THREE.InstancedMesh(geometry, material, capacity);
+        mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        mesh.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(capacity * 3), 3);
+        mesh.instanceColor.setUsage(THREE.DynamicDrawUsage);
+        mesh.count = 0;
+        // Stars are culled one by one in updateStarInstances
+        mesh.frustumCulled = false;
+        this.scene.add(mesh);
+        return mesh;
+    }
+
+    /**
+     * Create the lit material of the star cores. Colours come per instance, as
+     * vColor in the shaders.
+     * @returns {THREE.MeshPhongMaterial}
+     */
+    createStarCoreMaterial() {
         const material = new THREE.MeshPhongMaterial({
-            color: config.color,
-            emissive: config.color,
+            color: 0xffffff,
+            emissive: 0xffffff,
             emissiveIntensity: 0.3,
             transparent: true,
             opacity: 0.9,
         });
 
-        const star = new THREE.Mesh(geometry, material);
+        // The emissive colour is one per material, so tint it with the instance colour
+        material.onBeforeCompile = (shader) => {
+            shader.fragmentShader = shader.fragmentShader.replace(
+                'vec3 totalEmissiveRadiance = emissive;',
+                [
+                    'vec3 totalEmissiveRadiance = emissive;',
+                    '#ifdef USE_COLOR',
+                    '    totalEmissiveRadiance *= vColor;',
+                    '#endif',
+                ].join('\n')
+            );
+        };
+        return material;
+    }
 
-        // Position star in a circle around the constellation pattern
-        const angle = (index / total) * Math.PI * 2;
-        const radius = 15 + Math.random() * 5;
-        star.position.set(
-            Math.cos(angle) * radius,
-            Math.sin(angle) * radius,
-            (Math.random() - 0.5) * 8
+    /**
+     * Write the stars in view into the instanced meshes, each into the level of
+     * detail for its distance. Needs up-to-date local matrices, i.e. a
+     * scene.updateMatrixWorld() first.
+     */
+    updateStarInstances() {
+        if (!this.starLevels.length) return;
+
+        this.camera.updateMatrixWorld();
+        const frustum = new THREE.Frustum().setFromProjectionMatrix(
+            new THREE.Matrix4().multiplyMatrices(
+                this.camera.projectionMatrix,
+                this.camera.matrixWorldInverse
+            )
         );
+        const matrix = new THREE.Matrix4();
+        const bounds = new THREE.Sphere();
 
-        // Store model data in star
-        star.userData = model;
+        this.starLevels.forEach((level) => {
+            level.stars = [];
+        });
+        this.stars.forEach((star) => {
+            if (!this.isStarVisible(star)) return;
+
+            matrix.multiplyMatrices(star.parent.matrix, star.matrix);
+            bounds.center.setFromMatrixPosition(matrix).applyMatrix4(this.scene.matrixWorld);
+            bounds.radius = this.glowRadius * star.scale.x;
+            if (!frustum.intersectsSphere(bounds)) return;
+
+            // The last level has an infinite distance, so there is always one
+            const distance = bounds.center.distanceTo(this.camera.position);
+            const level = this.starLevels.find((candidate) => distance < candidate.distance);
+            const index = level.stars.length;
+            level.stars.push(star);
+            [level.core, level.glow].forEach((mesh) => {
+                mesh.setMatrixAt(index, matrix);
+                mesh.setColorAt(index, this.starColors.get(star));
+            });
+        });
 
-        // Add glow effect - larger for mobile devices
-        const glowSize = window.innerWidth <= 768 ? 2.0 : 1.2;
-        const glowGeometry = new THREE.SphereGeometry(glowSize, 16, 16);
-        const glowMaterial = new THREE.MeshBasicMaterial({
-            color: config.color,
-            transparent: true,
-            opacity: 0.3,
+        this.starLevels.forEach((level) => {
+            [level.core, level.glow].forEach((mesh) => {
+                mesh.count = level.stars.length;
+                mesh.instanceMatrix.needsUpdate = true;
+                mesh.instanceColor.needsUpdate = true;
+            });
         });
-        const glow = new THREE.Mesh(glowGeometry, glowMaterial);
-        star.add(glow);
+    }
 
-        return star;
+    /**
+     * Work out a star's colour, brighter while it is a search result
+     * @param {THREE.Object3D} star
+     */
+    updateStarColor(star) {
+        const color = new THREE.Color(this.getStarColor(star));
+        if (this.highlightedIds.has(star.userData.id)) {
+            color.multiplyScalar(1.6);
+        }
+        this.starColors.set(star, color);
+        this.requestRender();
+    }
+
+    /**
+     * @param {THREE.Object3D} star
+     * @returns {number} The colour set by setStarColors, or the category colour
+     */
+    getStarColor(star) {
+        const modelId = star.userData.id;
+        if (this.starColorOverrides && this.starColorOverrides.has(modelId)) {
+            return this.starColorOverrides.get(modelId);
+        }
+        return this.categoryConfigs[star.userData.category].color;
     }
 
     /**
@@ -245,12 +471,22 @@ class ConstellationVisualization {
         this.controls = {
             mouseX: 0,
             mouseY: 0,
-            targetRotationX: 0,
-            targetRotationY: 0,
+            dragStartX: 0,
+            dragStartY: 0,
+            mode: 'rotate', // What dragging does: 'rotate' or 'pan'
+            velocityX: 0, // Last drag movement in px, kept up after release for inertia
+            velocityY: 0,
+            lastMoveTime: 0,
+            rotateSpeed: 0.005, // Radians per px
+            damping: 0.9, // Share of the velocity kept each frame after release
+            minDistance: 5, // Limits for the camera's z position
+            maxDistance: 150,
             isMouseDown: false,
             touchStartX: 0,
             touchStartY: 0,
             touchZoomDistance: 0,
+            touchMidX: 0, // Midpoint of a two-finger touch, for panning
+            touchMidY: 0,
             lastTouchX: 0,
             lastTouchY: 0,
             isTwoFingerTouch: false, // New property to track two-finger touch
@@ -263,19 +499,10 @@ class ConstellationVisualization {
      * Add event listeners
      */
     addEventListeners() {
-        // Mouse events
-        this.renderer.domElement.addEventListener('mousemove', (event) => this.onMouseMove(event));
-        this.renderer.domElement.addEventListener('mousedown', (event) => this.onMouseDown(event));
-        this.renderer.domElement.addEventListener('mouseup', (event) => this.onMouseUp(event));
-        this.renderer.domElement.addEventListener('click', (event) => this.onMouseClick(event));
-        this.renderer.domElement.addEventListener('wheel', (event) => this.onMouseWheel(event));
+        this.addCanvasListeners(this.renderer.domElement);
 
-        // Touch events
-        this.renderer.domElement.addEventListener('touchstart', (event) =>
-            this.onTouchStart(event)
-        );
-        this.renderer.domElement.addEventListener('touchmove', (event) => this.onTouchMove(event));
-        this.renderer.domElement.addEventListener('touchend', (event) => this.onTouchEnd(event));
+        // Listen on the window so drags that end outside the canvas still end
+        window.addEventListener('mouseup', () => this.onMouseUp());
 
         // Window resize
         window.addEventListener('resize', () => this.onWindowResize());
@@ -284,6 +511,54 @@ class ConstellationVisualization {
         document.addEventListener('keydown', (event) => this.onKeyDown(event));
     }
 
+    /**
+     * Add pointer and context listeners to the renderer's canvas. A new canvas
+     * needs them again, see useFallbackRenderer.
+     * @param {HTMLCanvasElement} canvas
+     */
+    addCanvasListeners(canvas) {
+        // Mouse events
+        canvas.addEventListener('mousemove', (event) => this.onMouseMove(event));
+        canvas.addEventListener('mouseleave', () => this.setHoveredStar(null));
+        canvas.addEventListener('mousedown', (event) => this.onMouseDown(event));
+        canvas.addEventListener('click', () => this.onMouseClick());
+        canvas.addEventListener('wheel', (event) => this.onMouseWheel(event));
+        // Right-drag pans
+        canvas.addEventListener('contextmenu', (event) => event.preventDefault());
+
+        // Touch events
+        canvas.addEventListener('touchstart', (event) => this.onTouchStart(event));
+        canvas.addEventListener('touchmove', (event) => this.onTouchMove(event));
+        canvas.addEventListener('touchend', (event) => this.onTouchEnd(event));
+
+        // The WebGL renderer itself keeps the context restorable
+        canvas.addEventListener('webglcontextlost', () => this.onContextLost());
+        canvas.addEventListener('webglcontextrestored', () => this.onContextRestored());
+    }
+
+    /**
+     * Stop drawing until the context comes back, or switch to 2D if it does not
+     */
+    onContextLost() {
+        this.contextLost = true;
+        clearTimeout(this.contextLostTimer);
+        this.contextLostTimer = setTimeout(
+            () => this.useFallbackRenderer(),
+            this.contextRestoreTimeout
+        );
+    }
+
+    /**
+     * Rebuild the GPU side of the scene in the restored context
+     */
+    onContextRestored() {
+        clearTimeout(this.contextLostTimer);
+        this.contextLost = false;
+        this.removeStarMeshes();
+        this.createStarMeshes();
+        this.requestRender();
+    }
+
     /**
      * Handle mouse move
      * @param {MouseEvent} event
@@ -292,13 +567,18 @@ class ConstellationVisualization {
         const rect = this.renderer.domElement.getBoundingClientRect();
         this.mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
         this.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+        this.hoverPending = !this.controls.isMouseDown;
 
         if (this.controls.isMouseDown) {
-            const deltaX = event.clientX - this.controls.mouseX;
-            const deltaY = event.clientY - this.controls.mouseY;
+            // Tell drags from clicks so a drag that ends on a star does not select it
+            if (
+                Math.abs(event.clientX - this.controls.dragStartX) > 5 ||
+                Math.abs(event.clientY - this.controls.dragStartY) > 5
+            ) {
+                this.controls.isDragging = true;
+            }
 
-            this.scene.rotation.y += deltaX * 0.005;
-            this.scene.rotation.x += deltaY * 0.005;
+            this.dragBy(event.clientX - this.controls.mouseX, event.clientY - this.controls.mouseY);
         }
 
         this.controls.mouseX = event.clientX;
@@ -310,15 +590,23 @@ class ConstellationVisualization {
      * @param {MouseEvent} event
      */
     onMouseDown(event) {
+        this.stopCameraMotion(); // The user takes over the camera
         this.controls.isMouseDown = true;
+        this.controls.isDragging = false;
+        this.controls.mode = event.button === 2 || event.shiftKey ? 'pan' : 'rotate';
+        this.controls.mouseX = event.clientX;
+        this.controls.mouseY = event.clientY;
+        this.controls.dragStartX = event.clientX;
+        this.controls.dragStartY = event.clientY;
     }
 
     /**
      * Handle mouse up
-     * @param {MouseEvent} event
      */
-    onMouseUp(event) {
+    onMouseUp() {
+        if (!this.controls.isMouseDown) return;
         this.controls.isMouseDown = false;
+        this.releaseDrag();
     }
 
     /**
@@ -327,18 +615,23 @@ class ConstellationVisualization {
      */
     onTouchStart(event) {
         event.preventDefault(); // Prevent default touch behavior (e.g., scrolling)
+        this.stopCameraMotion(); // The user takes over the camera
         if (event.touches.length === 1) {
             this.controls.mouseX = event.touches[0].clientX;
             this.controls.mouseY = event.touches[0].clientY;
             this.controls.isMouseDown = true; // Re-using isMouseDown for single touch (rotation)
             this.controls.isTwoFingerTouch = false;
+            this.controls.mode = 'rotate';
             // Store the initial touch position for tap detection
             this.controls.touchStartX = event.touches[0].clientX;
             this.controls.touchStartY = event.touches[0].clientY;
         } else if (event.touches.length === 2) {
-            // Pinch to zoom
+            // Pinch to zoom, move both fingers to pan
             this.controls.touchZoomDistance = this.getTouchDistance(event.touches);
+            this.controls.touchMidX = (event.touches[0].clientX + event.touches[1].clientX) / 2;
+            this.controls.touchMidY = (event.touches[0].clientY + event.touches[1].clientY) / 2;
             this.controls.isTwoFingerTouch = true;
+            this.controls.mode = 'pan';
         }
     }
 
@@ -363,22 +656,23 @@ class ConstellationVisualization {
                 this.controls.isDragging = true;
             }
 
-            this.scene.rotation.y += deltaX * 0.005;
-            this.scene.rotation.x += deltaY * 0.005;
+            this.dragBy(deltaX, deltaY);
 
             this.controls.mouseX = event.touches[0].clientX;
             this.controls.mouseY = event.touches[0].clientY;
         } else if (event.touches.length === 2) {
-            // Pinch to zoom
+            // Pinch to zoom towards the fingers, move both fingers to pan
             this.controls.isDragging = true; // Two-finger touch is always a drag
             const currentTouchDistance = this.getTouchDistance(event.touches);
-            const delta = currentTouchDistance - this.controls.touchZoomDistance;
+            const midX = (event.touches[0].clientX + event.touches[1].clientX) / 2;
+            const midY = (event.touches[0].clientY + event.touches[1].clientY) / 2;
+
+            this.zoomAt(midX, midY, this.controls.touchZoomDistance / currentTouchDistance);
+            this.dragBy(midX - this.controls.touchMidX, midY - this.controls.touchMidY);
 
-            this.camera.position.z = Math.max(
-                20,
-                Math.min(100, this.camera.position.z - delta * 0.1)
-            );
             this.controls.touchZoomDistance = currentTouchDistance;
+            this.controls.touchMidX = midX;
+            this.controls.touchMidY = midY;
         }
     }
 
@@ -400,6 +694,7 @@ class ConstellationVisualization {
 
         // Reset drag state
         this.controls.isDragging = false;
+        this.releaseDrag();
     }
 
     /**
@@ -412,23 +707,32 @@ class ConstellationVisualization {
         this.mouse.x = ((this.controls.touchStartX - rect.left) / rect.width) * 2 - 1;
         this.mouse.y = -((this.controls.touchStartY - rect.top) / rect.height) * 2 + 1;
 
-        this.raycaster.setFromCamera(this.mouse, this.camera);
-        const intersects = this.raycaster.intersectObjects(this.scene.children, true);
-
-        if (intersects.length > 0) {
-            const clickedObject = intersects[0].object;
+        const star = this.pickStar();
+        if (star) {
+            this.selectStar(star);
+        }
+    }
 
-            // Find the star (might be the glow or the actual star)
-            let star = clickedObject;
-            while (star.parent && !star.userData.name) {
-                star = star.parent;
-            }
+    /**
+     * Find the visible star under this.mouse
+     * @returns {THREE.Object3D|null}
+     */
+    pickStar() {
+        // Only the stars are tested, not the background field or the lines.
+        // The glow is larger than the core, which makes stars easier to hit.
+        const glows = this.starLevels.map((level) => level.glow);
+        this.raycaster.setFromCamera(this.mouse, this.camera);
+        const intersects = this.raycaster.intersectObjects(glows);
 
+        for (const intersect of intersects) {
+            const level = this.starLevels[glows.indexOf(intersect.object)];
+            const star = level.stars[intersect.instanceId];
             // Check if the star and its parent constellation are visible
-            if (star.userData.name && star.parent && star.parent.visible) {
-                this.selectStar(star);
+            if (this.isStarVisible(star)) {
+                return star;
             }
         }
+        return null;
     }
 
     /**
@@ -444,26 +748,69 @@ class ConstellationVisualization {
 
     /**
      * Handle mouse click
-     * @param {MouseEvent} event
      */
-    onMouseClick(event) {
-        this.raycaster.setFromCamera(this.mouse, this.camera);
-        const intersects = this.raycaster.intersectObjects(this.scene.children, true);
+    onMouseClick() {
+        if (this.controls.isDragging) return;
 
-        if (intersects.length > 0) {
-            const clickedObject = intersects[0].object;
+        const star = this.pickStar();
+        if (star) {
+            this.selectStar(star);
+        }
+    }
 
-            // Find the star (might be the glow or the actual star)
-            let star = clickedObject;
-            while (star.parent && !star.userData.name) {
-                star = star.parent;
-            }
+    /**
+     * Raycast for the hovered star, at most every hoverInterval ms
+     */
+    updateHover() {
+        const now = performance.now();
+        if (!this.hoverPending || now - this.lastHoverTime < this.hoverInterval) return;
 
-            // Check if the star and its parent constellation are visible
-            if (star.userData.name && star.parent && star.parent.visible) {
-                this.selectStar(star);
-            }
+        this.hoverPending = false;
+        this.lastHoverTime = now;
+        this.setHoveredStar(this.pickStar());
+    }
+
+    /**
+     * Enlarge the hovered star and show its tooltip
+     * @param {THREE.Object3D|null} star - Hovered star, or null when none is
+     */
+    setHoveredStar(star) {
+        if (star === this.hoveredStar) return;
+
+        const previous = this.hoveredStar;
+        this.hoveredStar = star;
+        if (previous) this.updateStarScale(previous);
+        if (star) this.updateStarScale(star);
+
+        this.renderer.domElement.classList.toggle('hovering-star', Boolean(star));
+        this.labels.setHovered(star);
+    }
+
+    /**
+     * Show or hide the always-on category and model name labels
+     * @param {boolean} visible
+     */
+    setLabelsVisible(visible) {
+        this.labels.setEnabled(visible);
+        this.requestRender();
+    }
+
+    /**
+     * Size a star by its state: selected, a search result, and/or hovered
+     * @param {THREE.Object3D} star
+     */
+    updateStarScale(star) {
+        let scale = 1;
+        if (star === this.selectedStar) {
+            scale = 1.5;
+        } else if (this.highlightedIds.has(star.userData.id)) {
+            scale = 1.3;
         }
+        if (star === this.hoveredStar) {
+            scale *= 1.3;
+        }
+        star.scale.setScalar(scale);
+        this.requestRender();
     }
 
     /**
@@ -472,8 +819,114 @@ class ConstellationVisualization {
      */
     onMouseWheel(event) {
         event.preventDefault();
-        const delta = event.deltaY * 0.05;
-        this.camera.position.z = Math.max(20, Math.min(100, this.camera.position.z + delta));
+        this.stopCameraMotion();
+        // Line-based scrolling (e.g. Firefox) reports much smaller deltas than pixel-based
+        const delta = event.deltaMode === 1 ? event.deltaY * 33 : event.deltaY;
+        this.zoomAt(event.clientX, event.clientY, Math.exp(delta * 0.001));
+        this.notifyCameraChange();
+    }
+
+    /**
+     * Rotate or pan, depending on the drag mode, and remember the movement for inertia
+     * @param {number} deltaX - Horizontal movement in px
+     * @param {number} deltaY - Vertical movement in px
+     */
+    dragBy(deltaX, deltaY) {
+        this.moveCamera(deltaX, deltaY);
+        this.controls.velocityX = deltaX;
+        this.controls.velocityY = deltaY;
+        this.controls.lastMoveTime = performance.now();
+    }
+
+    /**
+     * Rotate the scene or pan the camera by a screen movement
+     * @param {number} deltaX - Horizontal movement in px
+     * @param {number} deltaY - Vertical movement in px
+     */
+    moveCamera(deltaX, deltaY) {
+        this.requestRender();
+        if (this.controls.mode === 'pan') {
+            // Move by the world size of a pixel at the origin so the scene follows the pointer
+            const fov = THREE.MathUtils.degToRad(this.camera.fov);
+            const pixel =
+                (2 * this.camera.position.z * Math.tan(fov / 2)) /
+                this.renderer.domElement.clientHeight;
+            this.camera.position.x -= deltaX * pixel;
+            this.camera.position.y += deltaY * pixel;
+            return;
+        }
+
+        // Stop at the poles rather than turning the scene upside down
+        const limit = Math.PI / 2;
+        this.scene.rotation.y += deltaX * this.controls.rotateSpeed;
+        this.scene.rotation.x = Math.max(
+            -limit,
+            Math.min(limit, this.scene.rotation.x + deltaY * this.controls.rotateSpeed)
+        );
+    }
+
+    /**
+     * End a drag, letting the camera coast on if the pointer was still moving
+     */
+    releaseDrag() {
+        if (this.reducedMotion || performance.now() - this.controls.lastMoveTime > 50) {
+            this.controls.velocityX = 0;
+            this.controls.velocityY = 0;
+        }
+        if (!this.controls.velocityX && !this.controls.velocityY) {
+            this.notifyCameraChange();
+        }
+    }
+
+    /**
+     * Let the camera coast after a drag, slowing down each frame
+     */
+    updateControls() {
+        const controls = this.controls;
+        if (controls.isMouseDown || (!controls.velocityX && !controls.velocityY)) return;
+
+        this.moveCamera(controls.velocityX, controls.velocityY);
+        controls.velocityX *= controls.damping;
+        controls.velocityY *= controls.damping;
+
+        if (Math.abs(controls.velocityX) < 0.05 && Math.abs(controls.velocityY) < 0.05) {
+            controls.velocityX = 0;
+            controls.velocityY = 0;
+            this.notifyCameraChange();
+        }
+    }
+
+    /**
+     * Stop any flight or coasting so the camera stays where it is
+     */
+    stopCameraMotion() {
+        this.cameraFlight = null;
+        this.controls.velocityX = 0;
+        this.controls.velocityY = 0;
+    }
+
+    /**
+     * Zoom towards a point on the screen, keeping what is under it in place
+     * @param {number} clientX - Screen position in px
+     * @param {number} clientY
+     * @param {number} scale - Factor for the camera's distance; below 1 zooms in
+     */
+    zoomAt(clientX, clientY, scale) {
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        const pointer = new THREE.Vector2(
+            ((clientX - rect.left) / rect.width) * 2 - 1,
+            -((clientY - rect.top) / rect.height) * 2 + 1
+        );
+        this.camera.updateMatrixWorld();
+        this.raycaster.setFromCamera(pointer, this.camera);
+
+        // Slide along the ray through the pointer until the distance is right
+        const { minDistance, maxDistance } = this.controls;
+        const z = this.camera.position.z;
+        const targetZ = Math.max(minDistance, Math.min(maxDistance, z * scale));
+        const direction = this.raycaster.ray.direction;
+        this.camera.position.addScaledVector(direction, (targetZ - z) / direction.z);
+        this.requestRender();
     }
 
     /**
@@ -483,6 +936,7 @@ class ConstellationVisualization {
         this.camera.aspect = this.container.clientWidth / this.container.clientHeight;
         this.camera.updateProjectionMatrix();
         this.renderer.setSize(this.container.clientWidth, this.container.clientHeight);
+        this.requestRender();
     }
 
     /**
@@ -490,10 +944,14 @@ class ConstellationVisualization {
      * @param {KeyboardEvent} event
      */
     onKeyDown(event) {
+        // Let text fields have their keys
+        if (['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target.tagName)) return;
+
         switch (event.code) {
             case 'Space':
                 event.preventDefault();
                 this.isRotating = !this.isRotating;
+                this.rotationPaused = !this.isRotating;
                 break;
             case 'KeyR':
                 this.resetCamera();
@@ -503,17 +961,20 @@ class ConstellationVisualization {
 
     /**
      * Select a star and trigger callback
-     * @param {THREE.Mesh} star
+     * @param {THREE.Object3D} star
      */
     selectStar(star) {
         // Deselect previous star
-        if (this.selectedStar) {
-            this.selectedStar.scale.set(1, 1, 1);
+        const previous = this.selectedStar;
+        this.selectedStar = star;
+        if (previous) {
+            this.updateStarScale(previous);
         }
 
         // Select new star
-        this.selectedStar = star;
-        star.scale.set(1.5, 1.5, 1.5);
+        this.updateStarScale(star);
+        this.updateSelectedRelations();
+        this.flyToStar(star);
 
         // Trigger custom event
         const event = new CustomEvent('starSelected', {
@@ -522,13 +983,436 @@ class ConstellationVisualization {
         document.dispatchEvent(event);
     }
 
+    /**
+     * Draw lines between related stars, including across categories
+     * @param {Array<Object>} edges - `{ source, target, weight, type }` from RelatedGraph
+     */
+    setRelations(edges) {
+        this.removeRelationLines();
+        this.relations = edges.filter(
+            (edge) => this.stars.has(edge.source) && this.stars.has(edge.target)
+        );
+
+        // Each segment fades between its two category colours; explicit links are brighter
+        const colors = new Float32Array(this.relations.length * 6);
+        this.relations.forEach((edge, index) => {
+            [edge.source, edge.target].forEach((id, end) => {
+                const category = this.stars.get(id).userData.category;
+                new THREE.Color(this.categoryConfigs[category].color)
+                    .multiplyScalar(edge.type === 'explicit' ? 1 : 0.6)
+                    .toArray(colors, index * 6 + end * 3);
+            });
+        });
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute(
+            'position',
+            new THREE.BufferAttribute(new Float32Array(this.relations.length * 6), 3)
+        );
+        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+
+        this.relationLines = new THREE.LineSegments(
+            geometry,
+            new THREE.LineBasicMaterial({ vertexColors: true, transparent: true, opacity: 0.35 })
+        );
+        this.relationLines.visible = this.showRelations;
+        this.scene.add(this.relationLines);
+
+        this.selectedRelationLines = new THREE.LineSegments(
+            new THREE.BufferGeometry(),
+            new THREE.LineBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0.9 })
+        );
+        this.scene.add(this.selectedRelationLines);
+
+        this.updateSelectedRelations();
+
+        // The similarity layout depends on the relations
+        if (this.layoutName === 'force') {
+            this.applyLayout(false);
+        }
+    }
+
+    /**
+     * Remove relation lines from the scene
+     */
+    removeRelationLines() {
+        [this.relationLines, this.selectedRelationLines].forEach((lines) => {
+            if (lines) {
+                this.scene.remove(lines);
+                lines.geometry.dispose();
+                lines.material.dispose();
+            }
+        });
+        this.relationLines = null;
+        this.selectedRelationLines = null;
+        this.relations = [];
+        this.selectedRelations = [];
+    }
+
+    /**
+     * Show or hide the lines between related stars
+     * @param {boolean} visible
+     */
+    setRelationsVisible(visible) {
+        this.showRelations = visible;
+        if (this.relationLines) {
+            this.relationLines.visible = visible;
+        }
+        this.requestRender();
+    }
+
+    /**
+     * Collect the relations of the selected star into the highlighted line set
+     */
+    updateSelectedRelations() {
+        if (!this.selectedRelationLines) return;
+
+        const selectedId = this.selectedStar ? this.selectedStar.userData.id : null;
+        this.selectedRelations = this.relations.filter(
+            (edge) => edge.source === selectedId || edge.target === selectedId
+        );
+
+        const geometry = this.selectedRelationLines.geometry;
+        geometry.setAttribute(
+            'position',
+            new THREE.BufferAttribute(new Float32Array(this.selectedRelations.length * 6), 3)
+        );
+        this.updateRelationLines();
+        this.requestRender();
+    }
+
+    /**
+     * Move line end points to the current star positions.
+     * Stars sit in rotating constellation groups, so this runs every drawn frame.
+     */
+    updateRelationLines() {
+        if (!this.relationLines) return;
+
+        if (this.relationLines.visible) {
+            this.writeRelationPositions(this.relationLines, this.relations);
+        }
+        this.writeRelationPositions(this.selectedRelationLines, this.selectedRelations);
+    }
+
+    /**
+     * Write the end points of edges into a line segment geometry.
+     * Edges touching a hidden constellation collapse to a point.
+     */
+    writeRelationPositions(lines, edges) {
+        const positions = lines.geometry.attributes.position;
+        const start = new THREE.Vector3();
+        const end = new THREE.Vector3();
+
+        edges.forEach((edge, index) => {
+            const source = this.stars.get(edge.source);
+            const target = this.stars.get(edge.target);
+
+            this.getStarScenePosition(source, start);
+            if (this.isStarVisible(source) && this.isStarVisible(target)) {
+                this.getStarScenePosition(target, end);
+            } else {
+                end.copy(start);
+            }
+
+            positions.setXYZ(index * 2, start.x, start.y, start.z);
+            positions.setXYZ(index * 2 + 1, end.x, end.y, end.z);
+        });
+
+        positions.needsUpdate = true;
+        lines.geometry.computeBoundingSphere();
+    }
+
+    /**
+     * Get a star's position in scene coordinates, including its constellation's
+     * rotation as of the last scene.updateMatrixWorld()
+     * @param {THREE.Object3D} star
+     * @param {THREE.Vector3} target - Vector to write the position into
+     * @returns {THREE.Vector3} The target vector
+     */
+    getStarScenePosition(star, target) {
+        return target.copy(star.position).applyMatrix4(star.parent.matrix);
+    }
+
+    /**
+     * Compute star positions for the current data and layout
+     * @returns {Object} `{ centers, offsets }` from LayoutEngine
+     */
+    computeLayout() {
+        return this.layoutEngine.compute(
+            this.layoutName,
+            this.data,
+            this.categoryConfigs,
+            this.relations
+        );
+    }
+
+    /**
+     * Switch to another layout
+     * @param {string} name - A key of LayoutEngine.LAYOUTS
+     * @param {boolean} [animate] - Move stars smoothly instead of jumping
+     */
+    setLayout(name, animate = true) {
+        this.layoutName = name;
+        this.applyLayout(animate);
+    }
+
+    /**
+     * Move constellations and stars to the positions of the current layout
+     * @param {boolean} animate - Move stars smoothly instead of jumping
+     */
+    applyLayout(animate) {
+        const layout = this.computeLayout();
+        const moves = [];
+
+        this.constellations.forEach((constellation, category) => {
+            moves.push({ object: constellation, to: layout.centers[category] });
+        });
+        this.stars.forEach((star, modelId) => {
+            moves.push({ object: star, to: layout.offsets.get(modelId) });
+        });
+
+        if (!animate) {
+            moves.forEach(({ object, to }) => object.position.copy(to));
+            this.layoutTransition = null;
+            this.requestRender();
+            return;
+        }
+
+        moves.forEach((move) => {
+            move.from = move.object.position.clone();
+            move.to = new THREE.Vector3(move.to.x, move.to.y, move.to.z);
+        });
+        this.layoutTransition = { moves: moves, startTime: performance.now() };
+    }
+
+    /**
+     * Advance the animation between layouts
+     */
+    updateLayoutTransition() {
+        if (!this.layoutTransition) return;
+
+        const progress = this.getTransitionProgress(
+            this.layoutTransition.startTime,
+            this.layoutTransitionDuration
+        );
+        const eased = LayoutEngine.ease(progress);
+
+        this.layoutTransition.moves.forEach(({ object, from, to }) => {
+            object.position.lerpVectors(from, to, eased);
+        });
+
+        if (progress === 1) {
+            this.layoutTransition = null;
+        }
+    }
+
+    /**
+     * Orbit the camera round so it frames a star, then keep following the star
+     * as its constellation rotates until the user moves the camera
+     * @param {THREE.Object3D} star
+     */
+    flyToStar(star) {
+        const position = new THREE.Vector3();
+        this.startCameraFlight(
+            () =>
+                this.getFramingPose(this.getStarScenePosition(star, position), this.focusDistance),
+            true
+        );
+    }
+
+    /**
+     * Orbit the camera round so it frames a whole constellation
+     * @param {string} category - Category name
+     */
+    flyToCategory(category) {
+        const constellation = this.constellations.get(category);
+        if (!constellation) return;
+
+        // Constellations spin about their centre, so a sphere round it always fits
+        let radius = 0;
+        constellation.children.forEach((star) => {
+            radius = Math.max(radius, star.position.length());
+        });
+
+        const verticalHalfFov = THREE.MathUtils.degToRad(this.camera.fov / 2);
+        const horizontalHalfFov = Math.atan(Math.tan(verticalHalfFov) * this.camera.aspect);
+        const distance =
+            (radius + this.focusDistance / 3) /
+            Math.tan(Math.min(verticalHalfFov, horizontalHalfFov));
+
+        const center = constellation.position.clone();
+        this.startCameraFlight(() => this.getFramingPose(center, distance), false);
+    }
+
+    /**
+     * Start moving the camera towards a pose
+     * @param {Function} getTarget - Returns the target pose, in the form of getCameraState.
+     *     Called every frame so the target can move while the camera is on its way.
+     * @param {boolean} follow - Keep tracking the target after arriving
+     */
+    startCameraFlight(getTarget, follow) {
+        this.stopCameraMotion();
+        this.cameraFlight = {
+            getTarget: getTarget,
+            follow: follow,
+            from: this.getCameraState(),
+            startTime: performance.now(),
+            arrived: false,
+        };
+    }
+
+    /**
+     * Advance the camera flight, if there is one
+     */
+    updateCameraFlight() {
+        const flight = this.cameraFlight;
+        if (!flight) return;
+
+        const progress = this.getTransitionProgress(flight.startTime, this.cameraFlightDuration);
+        const eased = LayoutEngine.ease(progress);
+        const lerp = (from, to) => from + (to - from) * eased;
+        const { from } = flight;
+        const target = flight.getTarget();
+
+        // Turn the shorter way round
+        const rotationX =
+            from.rotation.x +
+            ConstellationVisualization.wrapAngle(target.rotation.x - from.rotation.x);
+        const rotationY =
+            from.rotation.y +
+            ConstellationVisualization.wrapAngle(target.rotation.y - from.rotation.y);
+
+        this.applyCameraState({
+            position: {
+                x: lerp(from.position.x, target.position.x),
+                y: lerp(from.position.y, target.position.y),
+                z: lerp(from.position.z, target.position.z),
+            },
+            rotation: { x: lerp(from.rotation.x, rotationX), y: lerp(from.rotation.y, rotationY) },
+        });
+
+        if (progress === 1 && !flight.arrived) {
+            flight.arrived = true;
+            if (!flight.follow) this.cameraFlight = null;
+            this.notifyCameraChange();
+        }
+    }
+
+    /**
+     * Work out the pose that puts a point straight in front of the camera.
+     * The camera stays on the z axis looking at the origin, so the scene is
+     * rotated until the point lies on the z axis too, then the camera backs off.
+     * @param {THREE.Vector3} point - Point in scene coordinates
+     * @param {number} distance - Distance from the camera to the point
+     * @returns {Object} `{ position: { x, y, z }, rotation: { x, y } }`
+     */
+    getFramingPose(point, distance) {
+        // Scene rotation is applied y first, then x (Euler order XYZ)
+        const horizontal = Math.sqrt(point.x * point.x + point.z * point.z);
+        return {
+            position: { x: 0, y: 0, z: point.length() + distance },
+            rotation: {
+                x: Math.atan2(point.y, horizontal),
+                y: Math.atan2(-point.x, point.z),
+            },
+        };
+    }
+
+    /**
+     * How far an animation has got; animations finish at once in reduced-motion mode
+     * @param {number} startTime - When the animation started, from performance.now()
+     * @param {number} duration - Length of the animation in ms
+     * @returns {number} Progress from 0 to 1
+     */
+    getTransitionProgress(startTime, duration) {
+        if (this.reducedMotion) return 1;
+        return Math.min((performance.now() - startTime) / duration, 1);
+    }
+
+    /**
+     * Turn reduced-motion mode on or off. It stops the auto-rotation, which
+     * Space can still restart, and makes camera moves and layout changes instant.
+     * Turning it off resumes rotation unless it was paused with Space.
+     * @param {boolean} enabled
+     */
+    setReducedMotion(enabled) {
+        this.reducedMotion = enabled;
+        this.isRotating = !enabled && !this.rotationPaused;
+    }
+
     /**
      * Reset camera to default position
      */
     resetCamera() {
+        this.stopCameraMotion();
         this.camera.position.set(0, 0, 50);
-        this.controls.targetRotationX = 0;
-        this.controls.targetRotationY = 0;
+        this.scene.rotation.set(0, 0, 0);
+        this.requestRender();
+        this.notifyCameraChange();
+    }
+
+    /**
+     * Get the camera pose: camera position and the rotation dragged onto the scene
+     * @returns {Object} `{ position: { x, y, z }, rotation: { x, y } }`
+     */
+    getCameraState() {
+        return {
+            position: {
+                x: this.camera.position.x,
+                y: this.camera.position.y,
+                z: this.camera.position.z,
+            },
+            rotation: { x: this.scene.rotation.x, y: this.scene.rotation.y },
+        };
+    }
+
+    /**
+     * Restore a camera pose from getCameraState
+     * @param {Object} state - `{ position: { x, y, z }, rotation: { x, y } }`
+     */
+    setCameraState(state) {
+        this.stopCameraMotion();
+        this.applyCameraState(state);
+    }
+
+    /**
+     * Move the camera without interrupting a flight
+     * @param {Object} state - `{ position: { x, y, z }, rotation: { x, y } }`
+     */
+    applyCameraState(state) {
+        this.camera.position.set(state.position.x, state.position.y, state.position.z);
+        this.scene.rotation.x = state.rotation.x;
+        this.scene.rotation.y = state.rotation.y;
+        this.requestRender();
+    }
+
+    /**
+     * Let listeners such as UrlState know that the camera moved
+     */
+    notifyCameraChange() {
+        document.dispatchEvent(new CustomEvent('viewStateChanged', { detail: { kind: 'camera' } }));
+    }
+
+    /**
+     * Let other views of the stars, like MapView, know that their visibility,
+     * colours or highlights changed
+     */
+    notifyStarsChanged() {
+        document.dispatchEvent(new CustomEvent('starsChanged'));
+    }
+
+    /**
+     * Show or hide the constellation, e.g. while the 2D map is shown. Nothing
+     * is drawn while it is hidden.
+     * @param {boolean} visible
+     */
+    setVisible(visible) {
+        this.container.hidden = !visible;
+        this.suspended = !visible;
+        if (visible) {
+            // The container had no size while hidden
+            this.onWindowResize();
+        }
     }
 
     /**
@@ -539,6 +1423,40 @@ class ConstellationVisualization {
         this.constellations.forEach((constellation, category) => {
             constellation.visible = visibleCategories.includes(category);
         });
+        this.requestRender();
+        this.notifyStarsChanged();
+    }
+
+    /**
+     * Show only some stars, on top of the category filter
+     * @param {Set<string>|null} modelIds - IDs of the stars to show, or null to show all
+     */
+    setStarFilter(modelIds) {
+        this.stars.forEach((star, modelId) => {
+            star.visible = !modelIds || modelIds.has(modelId);
+        });
+        this.requestRender();
+        this.notifyStarsChanged();
+    }
+
+    /**
+     * Recolour stars, e.g. by study progress
+     * @param {Map<string, number>|null} colors - Colour per model ID; stars without
+     *     one, or all stars when null, get their category colour back
+     */
+    setStarColors(colors) {
+        this.starColorOverrides = colors;
+        this.stars.forEach((star) => this.updateStarColor(star));
+        this.notifyStarsChanged();
+    }
+
+    /**
+     * Whether a star is shown, i.e. neither it nor its constellation is filtered out
+     * @param {THREE.Object3D} star
+     * @returns {boolean}
+     */
+    isStarVisible(star) {
+        return star.visible && star.parent.visible;
     }
 
     /**
@@ -546,42 +1464,164 @@ class ConstellationVisualization {
      * @param {Array} modelIds - Array of model IDs to highlight
      */
     highlightSearchResults(modelIds) {
-        this.stars.forEach((star, modelId) => {
-            if (modelIds.includes(modelId)) {
-                star.material.emissiveIntensity = 0.8;
-                star.scale.set(1.3, 1.3, 1.3);
-            } else {
-                star.material.emissiveIntensity = 0.3;
-                star.scale.set(1, 1, 1);
-            }
+        this.highlightedIds = new Set(modelIds);
+        this.stars.forEach((star) => {
+            this.updateStarColor(star);
+            this.updateStarScale(star);
         });
+        this.notifyStarsChanged();
     }
 
     /**
      * Reset all highlights
      */
     resetHighlights() {
+        this.highlightedIds.clear();
         this.stars.forEach((star) => {
-            star.material.emissiveIntensity = 0.3;
-            star.scale.set(1, 1, 1);
+            this.updateStarColor(star);
+            this.updateStarScale(star);
         });
+        this.notifyStarsChanged();
     }
 
     /**
-     * Animation loop
+     * Animation loop. Frames are only drawn while something moves or after
+     * requestRender, so an idle constellation costs next to nothing.
      */
     animate() {
         requestAnimationFrame(() => this.animate());
+        if (this.suspended) return;
+        const frameStart = performance.now();
+
+        if (this.isAnimating()) {
+            // Rotate constellations
+            if (this.isRotating) {
+                this.constellations.forEach((constellation) => {
+                    constellation.rotation.y += this.rotationSpeed;
+                });
+            }
 
-        // Rotate constellations
-        if (this.isRotating) {
-            this.constellations.forEach((constellation) => {
-                constellation.rotation.y += this.rotationSpeed;
-            });
+            this.updateLayoutTransition();
+            this.updateControls();
+            this.updateCameraFlight();
+            this.requestRender();
         }
+        this.updateHover();
+
+        if (!this.needsRender || this.contextLost) {
+            this.frameStats.skipped++;
+            return;
+        }
+        this.needsRender = false;
+
+        // Everything below reads the stars' matrices
+        this.scene.updateMatrixWorld();
+        this.updateStarInstances();
+        this.updateRelationLines();
 
         // Render the scene
         this.renderer.render(this.scene, this.camera);
+        this.labels.update();
+        this.recordFrame(frameStart);
+    }
+
+    /**
+     * Whether anything moves by itself, so that every frame has to be drawn
+     * @returns {boolean}
+     */
+    isAnimating() {
+        const { velocityX, velocityY } = this.controls;
+        const flying = Boolean(this.cameraFlight && !this.cameraFlight.arrived);
+        return (
+            (this.isRotating && this.constellations.size > 0) ||
+            Boolean(this.layoutTransition) ||
+            flying ||
+            Boolean(velocityX || velocityY)
+        );
+    }
+
+    /**
+     * Draw the scene on the next frame, after something changed
+     */
+    requestRender() {
+        this.needsRender = true;
+    }
+
+    /**
+     * Remember how long a drawn frame took, keeping the last frameStatsSize
+     * @param {number} frameStart - When the frame started, from performance.now()
+     */
+    recordFrame(frameStart) {
+        const stats = this.frameStats;
+        const now = performance.now();
+        stats.rendered++;
+        stats.frameTimes.push(now - frameStart);
+        stats.timestamps.push(now);
+        if (stats.frameTimes.length > this.frameStatsSize) {
+            stats.frameTimes.shift();
+            stats.timestamps.shift();
+        }
+    }
+
+    /**
+     * Measure rendering, e.g. from the console as app.getFrameStats(). Frame times
+     * are the CPU time spent on a drawn frame; the GPU works on after that.
+     * @returns {Object} `{ rendered, skipped, averageFrameTime, maxFrameTime, fps,
+     *     renderer, drawCalls, triangles, instances }`; times in ms over the last
+     *     frameStatsSize drawn frames, instances drawn per level of detail
+     */
+    getFrameStats() {
+        const { rendered, skipped, frameTimes, timestamps } = this.frameStats;
+        const total = frameTimes.reduce((sum, time) => sum + time, 0);
+        const span = timestamps[timestamps.length - 1] - timestamps[0];
+        return {
+            rendered: rendered,
+            skipped: skipped,
+            averageFrameTime: frameTimes.length ? total / frameTimes.length : 0,
+            maxFrameTime: Math.max(0, ...frameTimes),
+            fps: span > 0 ? ((timestamps.length - 1) * 1000) / span : 0,
+            renderer: this.renderer.isFallbackRenderer ? '2d' : 'webgl',
+            drawCalls: this.renderer.info.render.calls,
+            triangles: this.renderer.info.render.triangles,
+            instances: this.starLevels.map((level) => level.stars.length),
+        };
+    }
+
+    /**
+     * Draw the current view into a new canvas, at a multiple of its size on screen
+     * @param {number} scale - Image pixels per CSS pixel
+     * @returns {HTMLCanvasElement} Snapshot, or null while the constellation is hidden
+     */
+    captureImage(scale) {
+        const width = this.container.clientWidth;
+        const height = this.container.clientHeight;
+        if (!width || !height) return null;
+
+        // WebGL clears its canvas after compositing, so copy it right after drawing
+        this.renderer.setPixelRatio(scale);
+        this.scene.updateMatrixWorld();
+        this.updateStarInstances();
+        this.updateRelationLines();
+        this.renderer.render(this.scene, this.camera);
+
+        const image = document.createElement('canvas');
+        image.width = Math.round(width * scale);
+        image.height = Math.round(height * scale);
+        image.getContext('2d').drawImage(this.renderer.domElement, 0, 0, image.width, image.height);
+
+        this.renderer.setPixelRatio(window.devicePixelRatio);
+        this.requestRender();
+        return image;
+    }
+
+    /**
+     * Bring an angle into the range -π to π
+     * @param {number} angle - Angle in radians
+     * @returns {number}
+     */
+    static wrapAngle(angle) {
+        const turn = Math.PI * 2;
+        return ((((angle + Math.PI) % turn) + turn) % turn) - Math.PI;
     }
 
     /**
@@ -594,6 +1634,16 @@ class ConstellationVisualization {
     }
 }
 
+/**
+ * Star geometry detail by distance from the camera, nearest first. The last
+ * level covers everything further away.
+ */
+ConstellationVisualization.DETAIL_LEVELS = [
+    { distance: 40, segments: 16 },
+    { distance: 100, segments: 8 },
+    { distance: Infinity, segments: 5 },
+];
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = ConstellationVisualization;
@@ -0,0 +1,145 @@
+/**
+ * Data Loader
+ * Fetches model collections, category configs and local markdown files
+ */
+
+class DataLoader {
+    /**
+     * @param {string} [basePath] - Prefix for data URLs, e.g. '' or '../'
+     */
+    constructor(basePath = '') {
+        this.basePath = basePath;
+        this.defaultCollection = {
+            id: 'default',
+            name: 'Mental Models',
+            sources: ['src/data/mental-models.md'],
+        };
+    }
+
+    /**
+     * Load the list of available collections from collections.json
+     * @returns {Promise<Array<Object>>} Collections, never empty
+     */
+    async loadCollections() {
+        const collections = await this.fetchJson('src/data/collections.json');
+        if (Array.isArray(collections) && collections.length > 0) {
+            return collections;
+        }
+        return [this.defaultCollection];
+    }
+
+    /**
+     * Fetch every markdown source of a collection.
+     * A source is a path or `{ path, namespace }`; when a collection has more
+     * than one source, each is namespaced (by default after its file name).
+     * @param {Object} collection - Collection from collections.json
+     * @returns {Promise<Array<Object>>} `{ name, text, namespace }` per source
+     */
+    async loadCollection(collection) {
+        const sources = collection.sources.map((source) =>
+            typeof source === 'string' ? { path: source } : source
+        );
+        const namespaced = sources.length > 1;
+
+        return Promise.all(
+            sources.map(async (source) => {
+                const text = await this.fetchText(source.path);
+                if (text === null) {
+                    console.warn(`Could not load ${source.path}`);
+                }
+                return {
+                    name: source.path,
+                    text: text || '',
+                    namespace: namespaced
+                        ? source.namespace || this.namespaceFromFileName(source.path)
+                        : source.namespace,
+                };
+            })
+        );
+    }
+
+    /**
+     * Read local markdown files picked by the user or dropped onto the page
+     * @param {FileList|Array<File>} files - Files to read
+     * @returns {Promise<Array<Object>>} `{ name, text, namespace }` per file
+     */
+    async readFiles(files) {
+        const markdownFiles = Array.from(files).filter((file) =>
+            /\.(md|markdown|txt)$/i.test(file.name)
+        );
+        const namespaced = markdownFiles.length > 1;
+
+        return Promise.all(
+            markdownFiles.map(async (file) => ({
+                name: file.name,
+                text: await file.text(),
+                namespace: namespaced ? this.namespaceFromFileName(file.name) : undefined,
+            }))
+        );
+    }
+
+    /**
+     * Load category configs from categories.json
+     * @returns {Promise<Object>} Configs keyed by category name, empty on failure
+     */
+    async loadCategoryConfigs() {
+        return (await this.fetchJson('src/data/categories.json')) || {};
+    }
+
+    /**
+     * Turn a file path into a readable namespace, e.g. "incident-review.md" -> "Incident Review"
+     * @param {string} path - File path or name
+     * @returns {string} Namespace
+     */
+    namespaceFromFileName(path) {
+        return path
+            .split('/')
+            .pop()
+            .replace(/\.[^.]+$/, '')
+            .split(/[-_\s]+/)
+            .filter(Boolean)
+            .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+            .join(' ');
+    }
+
+    /**
+     * Fetch a text file
+     * @param {string} path - Path relative to the base path
+     * @returns {Promise<string|null>} File contents, or null on failure
+     */
+    async fetchText(path) {
+        try {
+            const response = await fetch(this.basePath + path);
+            if (response.ok) {
+                return await response.text();
+            }
+        } catch (error) {
+            console.warn(`Could not fetch ${path}:`, error);
+        }
+        return null;
+    }
+
+    /**
+     * Fetch and parse a JSON file
+     * @param {string} path - Path relative to the base path
+     * @returns {Promise<*>} Parsed JSON, or null on failure
+     */
+    async fetchJson(path) {
+        const text = await this.fetchText(path);
+        if (text === null) return null;
+
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            console.warn(`Invalid JSON in ${path}:`, error);
+            return null;
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DataLoader;
+} else {
+    window.DataLoader = DataLoader;
+}
@@ -0,0 +1,164 @@
+/**
+ * Export Formats
+ * Turns parsed models into files to download: JSON and CSV dumps including
+ * all metadata, and Anki decks as tab-separated text that Anki imports directly
+ */
+
+class ModelExporter {
+    /**
+     * Dump models as JSON, with every field the parser filled in
+     * @param {Array<Object>} models - Models from MentalModelsParser
+     * @param {Object} [categoryMeta] - Category metadata by name, see parser.categoryMeta
+     * @returns {string} JSON text
+     */
+    static toJSON(models, categoryMeta = {}) {
+        const categories = [];
+        models.forEach((model) => {
+            if (!categories.includes(model.category)) categories.push(model.category);
+        });
+
+        return JSON.stringify(
+            {
+                version: 1,
+                exportedAt: new Date().toISOString(),
+                categories: categories.map((name) =>
+                    Object.assign({ name: name }, categoryMeta[name] || {})
+                ),
+                models: models,
+            },
+            null,
+            2
+        );
+    }
+
+    /**
+     * Dump models as CSV, one row per model. List fields are joined with "; ", and a
+     * "\" or ";" inside an item is written as "\\" or "\;" so the list splits back apart.
+     * Links are written as `[title](url)` and unknown metadata keys get a column each.
+     * @param {Array<Object>} models - Models from MentalModelsParser
+     * @returns {string} CSV text with CRLF line endings
+     */
+    static toCSV(models) {
+        const extraKeys = [];
+        models.forEach((model) => {
+            Object.keys(model.extra || {}).forEach((key) => {
+                if (!extraKeys.includes(key)) extraKeys.push(key);
+            });
+        });
+        extraKeys.sort();
+
+        const join = (values) =>
+            (values || []).map((value) => String(value).replace(/[\\;]/g, '\\$&')).join('; ');
+        const header = ModelExporter.CSV_COLUMNS.concat(extraKeys);
+        const rows = models.map((model) =>
+            [
+                model.id,
+                model.name,
+                model.category,
+                model.description,
+                join(model.tags),
+                join(model.aliases),
+                join(model.related),
+                join(model.sources),
+                join(model.examples),
+                join(
+                    (model.links || []).map((link) =>
+                        link.url ? `[${link.title}](${link.url})` : link.title
+                    )
+                ),
+            ].concat(extraKeys.map((key) => join((model.extra || {})[key])))
+        );
+
+        return [header]
+            .concat(rows)
+            .map((row) => row.map((value) => ModelExporter.escapeCsv(value)).join(','))
+            .join('\r\n');
+    }
+
+    /**
+     * Write a deck for Anki's File > Import as tab-separated text: the name on the
+     * front, the description and examples on the back. Each category becomes a
+     * subdeck, and notes keep their model ID so importing again updates them.
+     * @param {Array<Object>} models - Models from MentalModelsParser
+     * @param {string} [rootDeck] - Parent deck of the category decks
+     * @returns {string} Deck text
+     */
+    static toAnki(models, rootDeck = 'Mental Models') {
+        const lines = [
+            '#separator:tab',
+            '#html:true',
+            '#notetype:Basic',
+            '#columns:Front\tBack\tTags\tDeck\tGUID',
+            '#tags column:3',
+            '#deck column:4',
+            '#guid column:5',
+        ];
+
+        models.forEach((model) => {
+            const back = [ModelExporter.escapeAnki(model.description)]
+                .concat(
+                    (model.examples || []).map(
+                        (example) => `<i>Example:</i> ${ModelExporter.escapeAnki(example)}`
+                    )
+                )
+                .join('<br><br>');
+            const tags = [model.category]
+                .concat(model.tags || [])
+                .map((tag) => tag.trim().replace(/\s+/g, '_'));
+
+            lines.push(
+                [
+                    ModelExporter.escapeAnki(model.name),
+                    back,
+                    tags.join(' '),
+                    `${rootDeck}::${model.category}`.replace(/[\t\n\r]/g, ' '),
+                    `mental-models:${model.id}`,
+                ].join('\t')
+            );
+        });
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Quote a CSV field if it contains a separator, quote or line break
+     * @param {*} value
+     * @returns {string}
+     */
+    static escapeCsv(value) {
+        const text = value === undefined || value === null ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Make text safe for an HTML field of a tab-separated Anki file
+     * @param {string} text
+     * @returns {string}
+     */
+    static escapeAnki(text) {
+        // Quotes are escaped too, so Anki never reads a field as quoted
+        return TextHighlighter.escapeHtml(text).replace(/\t/g, ' ').replace(/\r?\n/g, '<br>');
+    }
+}
+
+/**
+ * CSV columns before those for unknown metadata keys
+ */
+ModelExporter.CSV_COLUMNS = [
+    'id',
+    'name',
+    'category',
+    'description',
+    'tags',
+    'aliases',
+    'related',
+    'sources',
+    'examples',
+    'links',
+];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ModelExporter;
+} else if (typeof window !== 'undefined') {
+    window.ModelExporter = ModelExporter;
+}
@@ -0,0 +1,308 @@
+/**
+ * Export
+ * Panel for downloading a snapshot of the constellation, the 2D map as SVG,
+ * and the models as JSON, CSV or Anki decks. Everything is generated in the browser.
+ */
+
+class ExportManager {
+    /**
+     * @param {MentalModelsParser} parser - Models to export
+     * @param {ConstellationVisualization} constellation - View to take snapshots of
+     * @param {MapView} mapView - Map to export as SVG
+     */
+    constructor(parser, constellation, mapView) {
+        this.parser = parser;
+        this.constellation = constellation;
+        this.mapView = mapView;
+        this.fileName = 'mental-models'; // Start of every downloaded file's name
+
+        this.openButton = document.getElementById('export-button');
+        this.panel = document.getElementById('export-panel');
+        this.closeButton = document.getElementById('close-export-button');
+        this.scaleSelect = document.getElementById('export-scale');
+        this.labelsToggle = document.getElementById('export-labels-toggle');
+        this.legendToggle = document.getElementById('export-legend-toggle');
+        this.pngButton = document.getElementById('export-png-button');
+        this.svgButton = document.getElementById('export-svg-button');
+        this.jsonButton = document.getElementById('export-json-button');
+        this.csvButton = document.getElementById('export-csv-button');
+        this.ankiCategorySelect = document.getElementById('export-anki-category');
+        this.ankiButton = document.getElementById('export-anki-button');
+        this.status = document.getElementById('export-status');
+
+        this.populateCategories();
+        this.addEventListeners();
+    }
+
+    /**
+     * Add event listeners for the panel and its buttons
+     */
+    addEventListeners() {
+        this.openButton.addEventListener('click', () => {
+            if (this.panel.hidden) {
+                this.open();
+            } else {
+                this.close();
+            }
+        });
+        this.closeButton.addEventListener('click', () => this.close());
+
+        this.pngButton.addEventListener('click', () => this.exportSnapshot());
+        this.svgButton.addEventListener('click', () => this.exportMap());
+        this.jsonButton.addEventListener('click', () => this.exportJSON());
+        this.csvButton.addEventListener('click', () => this.exportCSV());
+        this.ankiButton.addEventListener('click', () => this.exportAnki());
+
+        // Only one panel is open at a time
+        document.addEventListener('practicePanelOpened', (e) => {
+            if (e.detail.panel !== this.panel && !this.panel.hidden) this.close();
+        });
+    }
+
+    /**
+     * Open the export panel
+     */
+    open() {
+        this.panel.hidden = false;
+        this.openButton.classList.add('active');
+        document.dispatchEvent(
+            new CustomEvent('practicePanelOpened', { detail: { panel: this.panel } })
+        );
+        this.status.textContent = '';
+    }
+
+    /**
+     * Close the export panel
+     */
+    close() {
+        this.panel.hidden = true;
+        this.openButton.classList.remove('active');
+    }
+
+    /**
+     * Update the category choices after the dataset changed
+     */
+    refresh() {
+        this.populateCategories();
+    }
+
+    /**
+     * List the categories of the current collection for the Anki deck
+     */
+    populateCategories() {
+        const selected = this.ankiCategorySelect.value;
+        this.ankiCategorySelect.innerHTML = '';
+        this.ankiCategorySelect.appendChild(new Option('All categories', ''));
+        this.parser.getCategoryNames().forEach((category) => {
+            this.ankiCategorySelect.appendChild(new Option(category, category));
+        });
+        if (this.parser.getCategoryNames().includes(selected)) {
+            this.ankiCategorySelect.value = selected;
+        }
+    }
+
+    /**
+     * Download the constellation as it is on screen, as a PNG
+     */
+    exportSnapshot() {
+        const scale = Number(this.scaleSelect.value);
+        const image = this.constellation.captureImage(scale);
+        if (!image) {
+            this.status.textContent = 'Switch to the constellation to take a snapshot.';
+            return;
+        }
+
+        // Draw in CSS pixels, like the page
+        const context = image.getContext('2d');
+        context.scale(scale, scale);
+        if (this.labelsToggle.checked) this.drawLabels(context);
+        if (this.legendToggle.checked) this.drawLegend(context, image.height / scale);
+
+        image.toBlob((blob) => {
+            ExportManager.download(`${this.fileName}.png`, blob);
+            this.status.textContent = `Saved a ${image.width} × ${image.height} snapshot.`;
+        }, 'image/png');
+    }
+
+    /**
+     * Draw the labels that the label layer would show
+     * @param {CanvasRenderingContext2D} context
+     */
+    drawLabels(context) {
+        const measure = (candidate) => {
+            const style = ExportManager.LABEL_STYLES[candidate.category ? 'category' : 'model'];
+            const text = candidate.category ? candidate.text.toUpperCase() : candidate.text;
+            const label = Object.assign({ text: text }, style);
+            context.font = label.font;
+            label.width = context.measureText(label.text).width;
+            return label;
+        };
+
+        context.save();
+        context.textBaseline = 'top';
+        context.shadowColor = '#0a0a0a';
+        context.shadowBlur = 4;
+        this.constellation.labels.placeLabels(measure).forEach(({ label, left, top }) => {
+            context.font = label.font;
+            context.fillStyle = label.color;
+            context.fillText(label.text, left, top);
+        });
+        context.restore();
+    }
+
+    /**
+     * Draw a key of the star colours in the bottom left corner
+     * @param {CanvasRenderingContext2D} context
+     * @param {number} height - Image height in CSS pixels
+     */
+    drawLegend(context, height) {
+        const entries = this.getLegendEntries();
+        if (!entries.length) return;
+
+        const padding = 12;
+        const lineHeight = 20;
+        context.save();
+        context.font = '13px Arial, sans-serif';
+        context.textBaseline = 'middle';
+        const textWidth = Math.max(
+            ...entries.map((entry) => context.measureText(entry.label).width)
+        );
+        const boxWidth = textWidth + padding * 2 + 18;
+        const boxHeight = entries.length * lineHeight + padding * 2;
+        const left = 16;
+        const top = height - boxHeight - 16;
+
+        context.fillStyle = 'rgba(20, 20, 40, 0.9)';
+        context.fillRect(left, top, boxWidth, boxHeight);
+        entries.forEach((entry, index) => {
+            const y = top + padding + index * lineHeight + lineHeight / 2;
+            context.fillStyle = CategoryRegistry.toCss(entry.color);
+            context.beginPath();
+            context.arc(left + padding + 5, y, 5, 0, Math.PI * 2);
+            context.fill();
+            context.fillStyle = '#ecf0f1';
+            context.fillText(entry.label, left + padding + 18, y);
+        });
+        context.restore();
+    }
+
+    /**
+     * What the star colours mean: mastery levels while stars are coloured by
+     * study progress, otherwise the visible categories
+     * @returns {Array<Object>} `{ label, color }` entries
+     */
+    getLegendEntries() {
+        if (this.constellation.starColorOverrides) {
+            return Object.values(SpacedRepetition.MASTERY_LEVELS);
+        }
+
+        const entries = [];
+        this.constellation.constellations.forEach((constellation, category) => {
+            if (!constellation.visible) return;
+            entries.push({
+                label: category,
+                color: this.constellation.categoryConfigs[category].color,
+            });
+        });
+        return entries;
+    }
+
+    /**
+     * Download the 2D map as SVG
+     */
+    exportMap() {
+        ExportManager.download(
+            `${this.fileName}-map.svg`,
+            this.mapView.serialize(),
+            'image/svg+xml'
+        );
+    }
+
+    /**
+     * Download every model with its metadata as JSON
+     */
+    exportJSON() {
+        ExportManager.download(
+            `${this.fileName}.json`,
+            ModelExporter.toJSON(this.parser.getAllModels(), this.parser.categoryMeta),
+            'application/json'
+        );
+    }
+
+    /**
+     * Download every model with its metadata as CSV
+     */
+    exportCSV() {
+        // The byte order mark makes Excel read the file as UTF-8
+        ExportManager.download(
+            `${this.fileName}.csv`,
+            `\ufeff${ModelExporter.toCSV(this.parser.getAllModels())}`,
+            'text/csv'
+        );
+    }
+
+    /**
+     * Download an Anki deck of the chosen category, or of all of them as subdecks
+     */
+    exportAnki() {
+        const category = this.ankiCategorySelect.value;
+        const models = category
+            ? this.parser.getModelsByCategory(category)
+            : this.parser.getAllModels();
+        const suffix = category ? `-${ExportManager.slug(category)}` : '';
+
+        ExportManager.download(
+            `${this.fileName}-anki${suffix}.txt`,
+            ModelExporter.toAnki(models),
+            'text/plain'
+        );
+        this.status.textContent = `Saved ${models.length} cards. Import them in Anki with File > Import.`;
+    }
+
+    /**
+     * Save data as a file
+     * @param {string} fileName - Suggested file name
+     * @param {Blob|string} data - File contents
+     * @param {string} [type] - MIME type, for text data
+     */
+    static download(fileName, data, type) {
+        const blob =
+            data instanceof Blob ? data : new Blob([data], { type: `${type};charset=utf-8` });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        // Revoking at once can cancel the download in some browsers
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Turn a category name into a file name part
+     * @param {string} category - Category name
+     * @returns {string} Slug
+     */
+    static slug(category) {
+        return category
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-|-$/g, '');
+    }
+}
+
+/**
+ * Fonts and colours of snapshot labels, matching the label layer's CSS
+ */
+ExportManager.LABEL_STYLES = {
+    category: { font: 'bold 14px Arial, sans-serif', color: '#bdc3c7', height: 17 },
+    model: { font: '12px Arial, sans-serif', color: '#ecf0f1', height: 15 },
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExportManager;
+} else if (typeof window !== 'undefined') {
+    window.ExportManager = ExportManager;
+}
@@ -0,0 +1,119 @@
+/**
+ * Text Highlighting
+ * Escapes model text for HTML and marks the words a search matched
+ */
+
+class TextHighlighter {
+    /**
+     * @param {SearchEngine} searchEngine - Engine whose tokenizer and stemmer
+     *     decide which words of a text correspond to matched terms
+     */
+    constructor(searchEngine) {
+        this.searchEngine = searchEngine;
+    }
+
+    /**
+     * Escape text and wrap matches in <mark>: every word whose stem is among the
+     * matched terms (so prefix and typo-tolerant matches are marked too) and every
+     * literal occurrence of a phrase
+     * @param {string} text - Plain text to render
+     * @param {Array<string>} terms - Stems that matched, from SearchEngine results
+     * @param {Array<string>} [phrases] - Literal phrases to mark, e.g. quoted query parts
+     * @returns {string} Safe HTML
+     */
+    highlight(text, terms, phrases = []) {
+        const source = String(text || '');
+        const ranges = this.findWordRanges(source, new Set(terms || []));
+
+        phrases.forEach((phrase) => {
+            if (!phrase) return;
+            const pattern = new RegExp(TextHighlighter.escapeRegExp(phrase), 'gi');
+            let match;
+            while ((match = pattern.exec(source)) !== null) {
+                ranges.push([match.index, match.index + match[0].length]);
+            }
+        });
+
+        let html = '';
+        let lastIndex = 0;
+        this.mergeRanges(ranges).forEach(([start, end]) => {
+            html += TextHighlighter.escapeHtml(source.slice(lastIndex, start));
+            html += `<mark>${TextHighlighter.escapeHtml(source.slice(start, end))}</mark>`;
+            lastIndex = end;
+        });
+
+        return html + TextHighlighter.escapeHtml(source.slice(lastIndex));
+    }
+
+    /**
+     * Find the [start, end) ranges of words whose stem is in the given set
+     */
+    findWordRanges(source, stems) {
+        const ranges = [];
+        if (stems.size === 0) return ranges;
+
+        const wordPattern = /[A-Za-z0-9'’]+/g;
+        let match;
+        while ((match = wordPattern.exec(source)) !== null) {
+            const words = this.searchEngine.tokenize(match[0]);
+            if (words.some((word) => stems.has(this.searchEngine.stem(word)))) {
+                ranges.push([match.index, match.index + match[0].length]);
+            }
+        }
+        return ranges;
+    }
+
+    /**
+     * Sort ranges and merge the ones that overlap or touch
+     */
+    mergeRanges(ranges) {
+        const merged = [];
+        ranges
+            .sort((a, b) => a[0] - b[0])
+            .forEach((range) => {
+                const last = merged[merged.length - 1];
+                if (last && range[0] <= last[1]) {
+                    last[1] = Math.max(last[1], range[1]);
+                } else {
+                    merged.push(range.slice());
+                }
+            });
+        return merged;
+    }
+
+    /**
+     * Escape text for use in HTML content and attribute values
+     * @param {string} text - Plain text
+     * @returns {string} Escaped text
+     */
+    static escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, (char) => TextHighlighter.HTML_ENTITIES[char]);
+    }
+
+    /**
+     * Escape regular expression metacharacters so text can be matched literally
+     * @param {string} text - Plain text
+     * @returns {string} Text safe to pass to new RegExp()
+     */
+    static escapeRegExp(text) {
+        return String(text).replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    }
+}
+
+/**
+ * Characters that must be escaped in HTML text and attribute values
+ */
+TextHighlighter.HTML_ENTITIES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    '\u0027': '&#39;', // single quote
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TextHighlighter;
+} else if (typeof window !== 'undefined') {
+    window.TextHighlighter = TextHighlighter;
+}
@@ -0,0 +1,248 @@
+/**
+ * Star Labels
+ * HTML labels drawn over the constellation canvas: a tooltip for the hovered
+ * star and an optional layer naming categories, and models once the camera is close
+ */
+
+class LabelLayer {
+    /**
+     * @param {ConstellationVisualization} constellation - Stars and camera to label
+     */
+    constructor(constellation) {
+        this.constellation = constellation;
+        this.enabled = false;
+        this.nameDistance = 30; // Models closer to the camera than this get a label
+        this.maxNames = 80; // Nearest models labelled at most
+        this.padding = 4; // Minimum gap between labels in px
+        this.labels = new Map(); // Key -> { element, width, height }
+        this.hoveredStar = null;
+
+        this.layer = document.createElement('div');
+        this.layer.className = 'label-layer';
+        this.layer.hidden = true;
+
+        this.tooltip = document.createElement('div');
+        this.tooltip.className = 'star-tooltip';
+        this.tooltipTitle = document.createElement('div');
+        this.tooltipTitle.className = 'tooltip-title';
+        this.tooltipCategory = document.createElement('div');
+        this.tooltipCategory.className = 'tooltip-category';
+        this.tooltip.append(this.tooltipTitle, this.tooltipCategory);
+
+        constellation.container.append(this.layer, this.tooltip);
+    }
+
+    /**
+     * Show or hide the always-on labels
+     * @param {boolean} enabled
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.layer.hidden = !enabled;
+    }
+
+    /**
+     * Show the tooltip for a star
+     * @param {THREE.Object3D|null} star - Hovered star, or null to hide the tooltip
+     */
+    setHovered(star) {
+        this.hoveredStar = star;
+        if (star) {
+            this.tooltipTitle.textContent = star.userData.name;
+            this.tooltipCategory.textContent = star.userData.category;
+        }
+        this.tooltip.classList.toggle('show', Boolean(star));
+    }
+
+    /**
+     * Forget all labels, e.g. after the dataset changed
+     */
+    clear() {
+        this.labels.forEach(({ element }) => element.remove());
+        this.labels.clear();
+        this.setHovered(null);
+    }
+
+    /**
+     * Move the tooltip and labels to where their stars are on screen.
+     * Called every frame after rendering.
+     */
+    update() {
+        if (this.hoveredStar) {
+            this.updateTooltip();
+        }
+        if (this.enabled) {
+            this.updateLabels();
+        }
+    }
+
+    /**
+     * Keep the tooltip just above the hovered star
+     */
+    updateTooltip() {
+        const point = this.project(this.hoveredStar.getWorldPosition(new THREE.Vector3()));
+        if (!point) {
+            this.tooltip.classList.remove('show');
+            return;
+        }
+        this.tooltip.classList.add('show');
+        this.tooltip.style.left = `${point.x}px`;
+        this.tooltip.style.top = `${point.y}px`;
+    }
+
+    /**
+     * Show the labels that fit and hide the rest
+     */
+    updateLabels() {
+        const shown = new Set();
+        this.placeLabels((candidate) => this.getLabel(candidate)).forEach(
+            ({ candidate, label, left, top }) => {
+                shown.add(candidate.key);
+                label.element.style.transform = `translate(${Math.round(left)}px, ${Math.round(
+                    top
+                )}px)`;
+            }
+        );
+
+        this.labels.forEach((label, key) => {
+            label.element.hidden = !shown.has(key);
+        });
+    }
+
+    /**
+     * Place category labels, then the names of the nearest models, skipping any
+     * label that would overlap one already placed
+     * @param {Function} measure - Returns `{ width, height }` in px for a candidate
+     *     `{ key, text, className, category }`
+     * @returns {Array<Object>} `{ candidate, label, left, top }` per placed label,
+     *     where label is what measure returned
+     */
+    placeLabels(measure) {
+        const { camera, constellations, stars } = this.constellation;
+        const candidates = [];
+        const position = new THREE.Vector3();
+
+        // Category names go at the middle of their visible stars, which also
+        // separates them in layouts that share one centre, like the sphere
+        constellations.forEach((constellation, category) => {
+            if (!constellation.visible) return;
+
+            const center = new THREE.Vector3();
+            let count = 0;
+            constellation.children.forEach((star) => {
+                if (!star.visible) return;
+                center.add(star.getWorldPosition(position));
+                count++;
+            });
+            if (!count) return;
+
+            candidates.push({
+                key: `category:${category}`,
+                text: category,
+                className: 'star-label star-label-category',
+                category: true,
+                point: this.project(center.divideScalar(count)),
+                centered: true,
+            });
+        });
+
+        const nearby = [];
+        stars.forEach((star, modelId) => {
+            if (star === this.hoveredStar || !this.constellation.isStarVisible(star)) return;
+            star.getWorldPosition(position);
+            const distance = position.distanceTo(camera.position);
+            if (distance < this.nameDistance) {
+                nearby.push({ star, modelId, distance, world: position.clone() });
+            }
+        });
+        nearby
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, this.maxNames)
+            .forEach(({ star, modelId, world }) => {
+                candidates.push({
+                    key: `model:${modelId}`,
+                    text: star.userData.name,
+                    className: 'star-label',
+                    category: false,
+                    point: this.project(world),
+                    centered: false,
+                });
+            });
+
+        const placed = [];
+        const result = [];
+        candidates.forEach((candidate) => {
+            if (!candidate.point) return;
+
+            const label = measure(candidate);
+            const left = candidate.point.x - label.width / 2;
+            const top = candidate.centered
+                ? candidate.point.y - label.height / 2
+                : candidate.point.y - label.height - 10;
+            const rect = {
+                left: left - this.padding,
+                top: top - this.padding,
+                right: left + label.width + this.padding,
+                bottom: top + label.height + this.padding,
+            };
+            if (placed.some((other) => LabelLayer.overlaps(rect, other))) return;
+
+            placed.push(rect);
+            result.push({ candidate, label, left, top });
+        });
+        return result;
+    }
+
+    /**
+     * Get the element for a label, creating and measuring it the first time
+     * @param {Object} candidate - `{ key, text, className }`
+     * @returns {Object} `{ element, width, height }`
+     */
+    getLabel(candidate) {
+        let label = this.labels.get(candidate.key);
+        if (!label) {
+            const element = document.createElement('div');
+            element.className = candidate.className;
+            element.textContent = candidate.text;
+            this.layer.appendChild(element);
+            label = { element, width: element.offsetWidth, height: element.offsetHeight };
+            this.labels.set(candidate.key, label);
+        }
+        label.element.hidden = false;
+        return label;
+    }
+
+    /**
+     * Convert a world position to pixels within the container
+     * @param {THREE.Vector3} position - World position; modified
+     * @returns {Object|null} `{ x, y }`, or null if the point is behind the camera or off screen
+     */
+    project(position) {
+        position.project(this.constellation.camera);
+        if (position.z > 1 || Math.abs(position.x) > 1.1 || Math.abs(position.y) > 1.1) {
+            return null;
+        }
+
+        const canvas = this.constellation.renderer.domElement;
+        return {
+            x: ((position.x + 1) / 2) * canvas.clientWidth,
+            y: ((1 - position.y) / 2) * canvas.clientHeight,
+        };
+    }
+
+    /**
+     * @param {Object} a - `{ left, top, right, bottom }`
+     * @param {Object} b - `{ left, top, right, bottom }`
+     * @returns {boolean} Whether the rectangles overlap
+     */
+    static overlaps(a, b) {
+        return a.left < b.right && b.left < a.right && a.top < b.bottom && b.top < a.bottom;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LabelLayer;
+} else if (typeof window !== 'undefined') {
+    window.LabelLayer = LabelLayer;
+}
@@ -0,0 +1,375 @@
+/**
+ * Star Layouts
+ * Computes deterministic star positions so the constellation looks the same
+ * on every load. Randomness is seeded by model ID; places along rings, spirals
+ * and the sphere follow the order of the models, so adding or removing a model
+ * moves the stars after it.
+ */
+
+class LayoutEngine {
+    /**
+     * Compute a layout
+     * @param {string} name - Layout name, a key of LayoutEngine.LAYOUTS
+     * @param {Object} data - Parsed models keyed by category
+     * @param {Object} categoryConfigs - Resolved configs from CategoryRegistry
+     * @param {Array<Object>} [edges] - `{ source, target, weight }` from RelatedGraph,
+     *     used by the force-directed layout
+     * @returns {Object} `{ centers, offsets }`: centers maps each category to the
+     *     position of its constellation; offsets maps each model ID to the star's
+     *     position relative to that centre. Positions are `{ x, y, z }`.
+     * @throws {Error} If the layout name is unknown
+     */
+    compute(name, data, categoryConfigs, edges = []) {
+        if (!LayoutEngine.LAYOUTS[name]) {
+            throw new Error(`Unknown layout "${name}"`);
+        }
+        // Each layout is a method of the same name
+        return this[name](data, categoryConfigs, edges);
+    }
+
+    /**
+     * Each category is a ring of stars around its configured position
+     */
+    ring(data, categoryConfigs) {
+        const layout = { centers: {}, offsets: new Map() };
+
+        for (const [category, models] of Object.entries(data)) {
+            layout.centers[category] = LayoutEngine.copy(categoryConfigs[category].position);
+            models.forEach((model, index) => {
+                const random = LayoutEngine.random(model.id);
+                const angle = (index / models.length) * Math.PI * 2;
+                const radius = 15 + random() * 5;
+                layout.offsets.set(model.id, {
+                    x: Math.cos(angle) * radius,
+                    y: Math.sin(angle) * radius,
+                    z: (random() - 0.5) * 8,
+                });
+            });
+        }
+
+        return layout;
+    }
+
+    /**
+     * Each category is a sunflower spiral, first models in the middle, so
+     * large categories spread out instead of crowding a ring
+     */
+    spiral(data, categoryConfigs) {
+        const layout = { centers: {}, offsets: new Map() };
+        const goldenAngle = Math.PI * (3 - Math.sqrt(5));
+
+        for (const [category, models] of Object.entries(data)) {
+            layout.centers[category] = LayoutEngine.copy(categoryConfigs[category].position);
+            models.forEach((model, index) => {
+                const random = LayoutEngine.random(model.id);
+                const angle = index * goldenAngle;
+                const radius = 2.5 * Math.sqrt(index + 0.5);
+                layout.offsets.set(model.id, {
+                    x: Math.cos(angle) * radius,
+                    y: Math.sin(angle) * radius,
+                    z: (random() - 0.5) * 3,
+                });
+            });
+        }
+
+        return layout;
+    }
+
+    /**
+     * All stars on one sphere around the origin, categories in consecutive bands
+     */
+    sphere(data) {
+        const layout = { centers: {}, offsets: new Map() };
+        const models = [].concat(...Object.values(data));
+        const radius = Math.max(30, Math.sqrt(models.length) * 2.6);
+
+        Object.keys(data).forEach((category) => {
+            layout.centers[category] = { x: 0, y: 0, z: 0 };
+        });
+        LayoutEngine.fibonacciSphere(models.length, radius).forEach((point, index) => {
+            layout.offsets.set(models[index].id, point);
+        });
+
+        return layout;
+    }
+
+    /**
+     * Force-directed layout: related and similar models attract each other,
+     * nearby models repel, and each model is pulled towards its category's
+     * position. Starts from the ring layout and runs a fixed number of
+     * steps, so the result is deterministic.
+     */
+    force(data, categoryConfigs, edges) {
+        const start = this.ring(data, categoryConfigs);
+        const nodes = [];
+        const indexById = new Map();
+
+        for (const [category, models] of Object.entries(data)) {
+            const center = start.centers[category];
+            const anchor = categoryConfigs[category].position;
+            models.forEach((model) => {
+                const offset = start.offsets.get(model.id);
+                indexById.set(model.id, nodes.length);
+                nodes.push({
+                    id: model.id,
+                    category: category,
+                    anchor: anchor,
+                    x: center.x + offset.x,
+                    y: center.y + offset.y,
+                    z: center.z + offset.z,
+                });
+            });
+        }
+
+        const links = edges
+            .filter((edge) => indexById.has(edge.source) && indexById.has(edge.target))
+            .map((edge) => ({
+                source: nodes[indexById.get(edge.source)],
+                target: nodes[indexById.get(edge.target)],
+                weight: edge.weight,
+            }));
+
+        this.simulate(nodes, links);
+        return LayoutEngine.groupByCategory(nodes);
+    }
+
+    /**
+     * Run a Fruchterman-Reingold simulation in place
+     * @param {Array<Object>} nodes - `{ x, y, z, anchor }`
+     * @param {Array<Object>} links - `{ source, target, weight }` between nodes
+     */
+    simulate(nodes, links) {
+        const distance = 6; // Preferred distance between linked stars
+        const cutoff = distance * distance * 9; // Stars further apart than 3x do not repel
+        const gravity = 0.05; // Pull towards the category position
+        // Fewer steps for large datasets keep the main thread responsive; cooling
+        // faster ends them at the same temperature
+        const iterations = Math.max(
+            30,
+            Math.min(150, Math.round((150 * LayoutEngine.FULL_FORCE_NODES) / nodes.length))
+        );
+        const cooling = Math.pow(0.97, 150 / iterations);
+        let temperature = 8; // Maximum step per iteration, cools to 0
+
+        for (let iteration = 0; iteration < iterations; iteration++) {
+            nodes.forEach((node) => {
+                node.dx = (node.anchor.x - node.x) * gravity;
+                node.dy = (node.anchor.y - node.y) * gravity;
+                node.dz = (node.anchor.z - node.z) * gravity;
+            });
+
+            this.repel(nodes, distance, cutoff);
+
+            links.forEach(({ source, target, weight }) => {
+                const dx = source.x - target.x;
+                const dy = source.y - target.y;
+                const dz = source.z - target.z;
+                const length = Math.sqrt(dx * dx + dy * dy + dz * dz) || 0.1;
+                const force = (length / distance) * weight;
+                source.dx -= dx * force;
+                source.dy -= dy * force;
+                source.dz -= dz * force;
+                target.dx += dx * force;
+                target.dy += dy * force;
+                target.dz += dz * force;
+            });
+
+            nodes.forEach((node) => {
+                const length = Math.sqrt(node.dx * node.dx + node.dy * node.dy + node.dz * node.dz);
+                if (length === 0) return;
+                const step = Math.min(length, temperature) / length;
+                node.x += node.dx * step;
+                node.y += node.dy * step;
+                node.z += node.dz * step;
+            });
+
+            temperature *= cooling;
+        }
+    }
+
+    /**
+     * Push apart stars closer than the cutoff. Stars are sorted into a grid of
+     * cells as wide as the cutoff, so only neighbouring cells are compared
+     * instead of every pair.
+     * @param {Array<Object>} nodes - `{ x, y, z, dx, dy, dz }`; forces are added to d*
+     * @param {number} distance - Preferred distance between stars
+     * @param {number} cutoff - Squared distance beyond which stars do not repel
+     */
+    repel(nodes, distance, cutoff) {
+        const cellSize = Math.sqrt(cutoff);
+        const grid = new Map();
+        const cells = nodes.map((node, index) => {
+            const cell = [node.x, node.y, node.z].map((coord) => Math.floor(coord / cellSize));
+            const key = LayoutEngine.cellKey(cell[0], cell[1], cell[2]);
+            if (!grid.has(key)) grid.set(key, []);
+            grid.get(key).push(index);
+            return cell;
+        });
+
+        nodes.forEach((a, i) => {
+            const [cx, cy, cz] = cells[i];
+            for (let ox = -1; ox <= 1; ox++) {
+                for (let oy = -1; oy <= 1; oy++) {
+                    for (let oz = -1; oz <= 1; oz++) {
+                        const neighbours =
+                            grid.get(LayoutEngine.cellKey(cx + ox, cy + oy, cz + oz)) || [];
+                        neighbours.forEach((j) => {
+                            // Each pair once
+                            if (j <= i) return;
+                            const b = nodes[j];
+                            const dx = a.x - b.x;
+                            const dy = a.y - b.y;
+                            const dz = a.z - b.z;
+                            const lengthSquared = Math.max(dx * dx + dy * dy + dz * dz, 0.01);
+                            if (lengthSquared > cutoff) return;
+                            const force = (distance * distance) / lengthSquared;
+                            a.dx += dx * force;
+                            a.dy += dy * force;
+                            a.dz += dz * force;
+                            b.dx -= dx * force;
+                            b.dy -= dy * force;
+                            b.dz -= dz * force;
+                        });
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Number a grid cell; unique for cells within 512 of the origin on each axis
+     * @returns {number} Key
+     */
+    static cellKey(x, y, z) {
+        return ((x + 512) * 1024 + (y + 512)) * 1024 + (z + 512);
+    }
+
+    /**
+     * Turn absolute node positions into category centres (the centroid of each
+     * category's stars) and offsets from them
+     * @param {Array<Object>} nodes - `{ id, category, x, y, z }`
+     * @returns {Object} `{ centers, offsets }`
+     */
+    static groupByCategory(nodes) {
+        const layout = { centers: {}, offsets: new Map() };
+        const counts = {};
+
+        nodes.forEach((node) => {
+            const center = layout.centers[node.category] || { x: 0, y: 0, z: 0 };
+            center.x += node.x;
+            center.y += node.y;
+            center.z += node.z;
+            layout.centers[node.category] = center;
+            counts[node.category] = (counts[node.category] || 0) + 1;
+        });
+
+        Object.entries(layout.centers).forEach(([category, center]) => {
+            center.x /= counts[category];
+            center.y /= counts[category];
+            center.z /= counts[category];
+        });
+
+        nodes.forEach((node) => {
+            const center = layout.centers[node.category];
+            layout.offsets.set(node.id, {
+                x: node.x - center.x,
+                y: node.y - center.y,
+                z: node.z - center.z,
+            });
+        });
+
+        return layout;
+    }
+
+    /**
+     * Evenly spaced points on a sphere
+     * @param {number} count - Number of points
+     * @param {number} radius - Sphere radius
+     * @returns {Array<Object>} `{ x, y, z }` from top to bottom
+     */
+    static fibonacciSphere(count, radius) {
+        const goldenAngle = Math.PI * (3 - Math.sqrt(5));
+        const points = [];
+
+        for (let i = 0; i < count; i++) {
+            const y = 1 - ((i + 0.5) / count) * 2;
+            const ring = Math.sqrt(1 - y * y);
+            const angle = i * goldenAngle;
+            points.push({
+                x: Math.cos(angle) * ring * radius,
+                y: y * radius,
+                z: Math.sin(angle) * ring * radius,
+            });
+        }
+
+        return points;
+    }
+
+    /**
+     * Create a seeded random number generator (mulberry32)
+     * @param {string} seed - Seed text, usually a model ID
+     * @returns {Function} Returns numbers in [0, 1), the same sequence for the same seed
+     */
+    static random(seed) {
+        let state = LayoutEngine.hash(seed);
+        return () => {
+            state = (state + 0x6d2b79f5) | 0;
+            let t = Math.imul(state ^ (state >>> 15), 1 | state);
+            t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * 32-bit FNV-1a hash of a string
+     * @param {string} text - Text to hash
+     * @returns {number} Unsigned 32-bit hash
+     */
+    static hash(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Cubic ease-in-out curve for transitions between layouts
+     * @param {number} t - Linear progress from 0 to 1
+     * @returns {number} Eased progress from 0 to 1
+     */
+    static ease(t) {
+        if (t < 0.5) return 4 * t * t * t;
+        return 1 - Math.pow(2 - 2 * t, 3) / 2;
+    }
+
+    /**
+     * Copy a position
+     */
+    static copy(position) {
+        return { x: position.x, y: position.y, z: position.z };
+    }
+}
+
+/**
+ * Available layouts and their display names
+ */
+LayoutEngine.LAYOUTS = {
+    ring: 'Constellations',
+    spiral: 'Grouped spirals',
+    sphere: 'Sphere',
+    force: 'By similarity',
+};
+
+/**
+ * Datasets up to this size get all 150 steps of the force-directed layout
+ */
+LayoutEngine.FULL_FORCE_NODES = 1000;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LayoutEngine;
+} else if (typeof window !== 'undefined') {
+    window.LayoutEngine = LayoutEngine;
+}
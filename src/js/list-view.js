@@ -0,0 +1,268 @@
+/**
+ * List View
+ * Renders the models as a plain page grouped by category, with a table of
+ * contents, an anchor per model, search, category filters and links to the 3D view
+ */
+
+class ModelListView {
+    /**
+     * @param {MentalModelsParser} parser - Parsed models
+     * @param {Object} categoryConfigs - Resolved configs from CategoryRegistry
+     */
+    constructor(parser, categoryConfigs) {
+        this.parser = parser;
+        this.categoryConfigs = categoryConfigs;
+        this.searchEngine = new SearchEngine(parser.getAllModels());
+        this.highlighter = new TextHighlighter(this.searchEngine);
+        this.activeFilters = new Set(parser.getCategoryNames());
+
+        this.searchInput = document.getElementById('list-search-input');
+        this.filtersContainer = document.getElementById('list-category-filters');
+        this.summary = document.getElementById('list-summary');
+        this.toc = document.getElementById('list-toc');
+        this.container = document.getElementById('list-container');
+    }
+
+    /**
+     * Build the filters and show every model
+     */
+    init() {
+        this.createCategoryFilters();
+        this.addEventListeners();
+        this.render();
+    }
+
+    /**
+     * Create a checkbox per category, like the constellation's filters
+     */
+    createCategoryFilters() {
+        this.parser.getCategoryNames().forEach((category) => {
+            const filterItem = document.createElement('div');
+            filterItem.className = 'filter-item';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.id = `list-filter-${ModelListView.slug(category)}`;
+            checkbox.value = category;
+            checkbox.checked = true;
+
+            const label = document.createElement('label');
+            label.htmlFor = checkbox.id;
+            label.appendChild(this.createCategoryIcon(category));
+            label.appendChild(document.createTextNode(category));
+
+            filterItem.append(checkbox, label);
+            this.filtersContainer.appendChild(filterItem);
+        });
+    }
+
+    /**
+     * Add event listeners for search and filters
+     */
+    addEventListeners() {
+        let searchTimeout;
+        this.searchInput.addEventListener('input', () => {
+            clearTimeout(searchTimeout);
+            searchTimeout = setTimeout(() => this.render(), 300);
+        });
+
+        this.filtersContainer.addEventListener('change', (e) => {
+            if (e.target.type !== 'checkbox') return;
+            if (e.target.checked) {
+                this.activeFilters.add(e.target.value);
+            } else {
+                this.activeFilters.delete(e.target.value);
+            }
+            this.render();
+        });
+    }
+
+    /**
+     * Show the models matching the search and filters, grouped by category
+     */
+    render() {
+        const query = this.searchInput.value;
+        this.container.innerHTML = '';
+        this.toc.innerHTML = '';
+
+        let matches = null; // Model -> matched terms, or null to show all
+        let phrases = [];
+        try {
+            if (query.trim()) {
+                const results = this.searchEngine.search(query);
+                matches = new Map(results.map((result) => [result.model, result.terms]));
+                phrases = this.searchEngine.queryParser.getPhrases(query);
+            }
+        } catch (error) {
+            if (!(error instanceof QuerySyntaxError)) throw error;
+            this.summary.textContent = `${error.message} (at character ${error.position + 1})`;
+            this.summary.classList.add('list-summary-error');
+            return;
+        }
+        this.summary.classList.remove('list-summary-error');
+
+        let shown = 0;
+        this.parser.getCategoryNames().forEach((category) => {
+            if (!this.activeFilters.has(category)) return;
+
+            const models = this.parser
+                .getModelsByCategory(category)
+                .filter((model) => !matches || matches.has(model));
+            if (!models.length) return;
+
+            shown += models.length;
+            this.container.appendChild(
+                this.createCategorySection(category, models, matches, phrases)
+            );
+            this.toc.appendChild(this.createTocItem(category, models.length));
+        });
+
+        const total = this.parser.getAllModels().length;
+        this.summary.textContent =
+            shown === total ? `${total} models` : `Showing ${shown} of ${total} models`;
+        if (!shown) {
+            const empty = document.createElement('p');
+            empty.className = 'list-empty';
+            empty.textContent = query.trim()
+                ? `No results found for "${query}"`
+                : 'No categories selected';
+            this.container.appendChild(empty);
+        }
+    }
+
+    /**
+     * Create a category heading and its models
+     * @param {string} category - Category name
+     * @param {Array<Object>} models - Models to show
+     * @param {Map|null} matches - Matched terms per model, for highlighting
+     * @param {Array<string>} phrases - Quoted phrases of the query
+     * @returns {HTMLElement} Section element
+     */
+    createCategorySection(category, models, matches, phrases) {
+        const section = document.createElement('section');
+        section.id = `category-${ModelListView.slug(category)}`;
+
+        const title = document.createElement('h2');
+        title.className = 'model-category';
+        title.appendChild(this.createCategoryIcon(category));
+        title.appendChild(document.createTextNode(category));
+        const config = this.categoryConfigs[category];
+        if (config) {
+            title.style.color = CategoryRegistry.toCss(config.color);
+            title.style.borderColor = CategoryRegistry.toCss(config.color);
+        }
+        section.appendChild(title);
+
+        models.forEach((model) => {
+            const terms = matches ? matches.get(model) : [];
+            section.appendChild(this.createModelItem(model, terms, phrases));
+        });
+        return section;
+    }
+
+    /**
+     * Create the entry for one model, anchored by its ID
+     * @param {Object} model - Model to show
+     * @param {Array<string>} terms - Matched stems to highlight
+     * @param {Array<string>} phrases - Quoted phrases to highlight
+     * @returns {HTMLElement} Article element
+     */
+    createModelItem(model, terms, phrases) {
+        const item = document.createElement('article');
+        item.className = 'model-item';
+        item.id = model.id;
+
+        const header = document.createElement('div');
+        header.className = 'model-header';
+
+        const name = document.createElement('h3');
+        name.className = 'model-name';
+        const anchor = document.createElement('a');
+        anchor.href = `#${encodeURIComponent(model.id)}`;
+        anchor.title = 'Link to this model';
+        anchor.innerHTML = this.highlighter.highlight(model.name, terms, phrases);
+        name.appendChild(anchor);
+
+        const viewLink = document.createElement('a');
+        viewLink.className = 'model-view-link';
+        viewLink.href = `index.html#${UrlState.serialize({ model: model.id })}`;
+        viewLink.title = 'Open in the constellation';
+        viewLink.innerHTML = '<i class="fas fa-star"></i> View in 3D';
+
+        header.append(name, viewLink);
+        item.appendChild(header);
+
+        const description = document.createElement('p');
+        description.className = 'model-description';
+        description.innerHTML = this.highlighter.highlight(model.description, terms, phrases);
+        item.appendChild(description);
+
+        if (model.tags.length) {
+            const tags = document.createElement('div');
+            tags.className = 'details-tags';
+            model.tags.forEach((tag) => {
+                const chip = document.createElement('span');
+                chip.className = 'details-tag';
+                chip.textContent = tag;
+                tags.appendChild(chip);
+            });
+            item.appendChild(tags);
+        }
+        return item;
+    }
+
+    /**
+     * Create a table of contents link to a category section
+     * @param {string} category - Category name
+     * @param {number} count - Number of models shown
+     * @returns {HTMLElement} List item
+     */
+    createTocItem(category, count) {
+        const item = document.createElement('li');
+        const link = document.createElement('a');
+        link.href = `#category-${ModelListView.slug(category)}`;
+        link.textContent = `${category} (${count})`;
+        item.appendChild(link);
+        return item;
+    }
+
+    /**
+     * Create the Font Awesome icon configured for a category, if any
+     * @param {string} category - Category name
+     * @returns {Node} Icon element, or an empty text node
+     */
+    createCategoryIcon(category) {
+        const config = this.categoryConfigs[category];
+        if (!config || !config.icon) return document.createTextNode('');
+
+        const icon = document.createElement('i');
+        icon.className = `fas ${config.icon} category-icon`;
+        return icon;
+    }
+
+    /**
+     * Scroll to the model or category named in the page hash. The list is built
+     * after the page loads, so the browser cannot do this by itself.
+     */
+    scrollToHash() {
+        const id = decodeURIComponent(window.location.hash.slice(1));
+        const target = id && document.getElementById(id);
+        if (target) target.scrollIntoView();
+    }
+
+    /**
+     * Turn a category name into an ID fragment
+     * @param {string} category - Category name
+     * @returns {string} Slug
+     */
+    static slug(category) {
+        return category.replace(/\s+/g, '-').toLowerCase();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ModelListView;
+} else if (typeof window !== 'undefined') {
+    window.ModelListView = ModelListView;
+}
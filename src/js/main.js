@@ -6,8 +6,9 @@
 // Wait for DOM to be fully loaded
 document.addEventListener('DOMContentLoaded', () => {
     // Initialize components
-    let parser, constellation, searchManager;
-    let isLoading = true;
+    let parser, constellation, searchManager, collectionManager, categoryRegistry, urlState;
+    let studyMode, quizMode, accessibilityManager, mapView, exportManager;
+    const dataLoader = new DataLoader();
 
     // Show loading indicator
     const loadingContainer = document.getElementById('loading-container');
@@ -19,22 +20,66 @@ document.addEventListener('DOMContentLoaded', () => {
             console.log('Initializing parser...');
             parser = new MentalModelsParser();
             
-            const markdownData = await loadMarkdownData();
-            const parsedData = parser.parse(markdownData);
+            const collections = await dataLoader.loadCollections();
+            const savedCollectionId = localStorage.getItem('constellation-collection');
+            const activeCollection =
+                collections.find((collection) => collection.id === savedCollectionId) ||
+                collections[0];
+
+            const sources = await dataLoader.loadCollection(activeCollection);
+            const parsedData = parser.parseSources(sources);
+            reportDiagnostics();
             
             console.log('Parsed data:', parsedData);
             console.log('Stats:', parser.getStats());
             
+            categoryRegistry = new CategoryRegistry(await dataLoader.loadCategoryConfigs());
+
             console.log('Initializing constellation...');
-            constellation = new ConstellationVisualization('constellation-container', parsedData);
+            const savedLayout = localStorage.getItem('constellation-layout');
+            constellation = new ConstellationVisualization(
+                'constellation-container',
+                parsedData,
+                resolveCategoryConfigs(),
+                { layout: LayoutEngine.LAYOUTS[savedLayout] ? savedLayout : 'ring' }
+            );
+            setupLayoutSelect();
             
             console.log('Initializing search manager...');
             searchManager = new SearchManager(parser, constellation);
+            accessibilityManager = new AccessibilityManager(parser, constellation, searchManager);
+            mapView = new MapView(parser, constellation);
+            exportManager = new ExportManager(parser, constellation, mapView);
+
+            studyMode = new StudyMode(parser, constellation);
+            quizMode = new QuizMode(parser, constellation, searchManager.userData);
+
+            collectionManager = new CollectionManager(
+                dataLoader,
+                collections,
+                activeCollection.id,
+                applySources
+            );
+            
+            // Restore the view from a shared link, e.g. #model=nash-equilibrium
+            urlState = new UrlState(searchManager, constellation);
+            if (window.location.hash) {
+                urlState.restore();
+            }
             
             window.app = {
                 parser,
                 constellation,
-                searchManager
+                searchManager,
+                collectionManager,
+                urlState,
+                studyMode,
+                quizMode,
+                accessibilityManager,
+                mapView,
+                exportManager,
+                // Rendering measurements, see ConstellationVisualization.getFrameStats
+                getFrameStats: () => constellation.getFrameStats()
             };
             
             hideLoading();
@@ -47,21 +92,55 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
-    async function loadMarkdownData() {
-        try {
-            const response = await fetch('src/data/mental-models.md');
-            if (response.ok) {
-                return await response.text();
-            }
-        } catch (error) {
-            console.warn('Could not load markdown file, using sample data:', error);
+    /**
+     * Replace the shown dataset with newly loaded markdown sources
+     * @returns {boolean} False if the sources contained no models
+     */
+    function applySources(sources) {
+        const candidate = new MentalModelsParser();
+        candidate.parseSources(sources);
+        if (candidate.getAllModels().length === 0) {
+            return false;
         }
-        
-        return '';
+
+        parser.parseSources(sources);
+        reportDiagnostics();
+        constellation.setData(parser.categories, resolveCategoryConfigs());
+        searchManager.refresh();
+        studyMode.refresh();
+        quizMode.refresh();
+        accessibilityManager.refresh();
+        exportManager.refresh();
+        return true;
+    }
+
+    function setupLayoutSelect() {
+        const layoutSelect = document.getElementById('layout-select');
+        for (const [name, label] of Object.entries(LayoutEngine.LAYOUTS)) {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = label;
+            layoutSelect.appendChild(option);
+        }
+        layoutSelect.value = constellation.layoutName;
+
+        layoutSelect.addEventListener('change', () => {
+            constellation.setLayout(layoutSelect.value);
+            localStorage.setItem('constellation-layout', layoutSelect.value);
+        });
+    }
+
+    function resolveCategoryConfigs() {
+        return categoryRegistry.resolve(parser.getCategoryNames(), parser.categoryMeta);
+    }
+
+    function reportDiagnostics() {
+        parser.diagnostics.forEach((diagnostic) => {
+            console.warn(MentalModelsParser.formatDiagnostic(diagnostic));
+        });
     }
 
     function hideLoading() {
-        isLoading = false;
         if (loadingContainer) {
             loadingContainer.style.opacity = '0';
             setTimeout(() => {
@@ -75,14 +154,20 @@ document.addEventListener('DOMContentLoaded', () => {
         
         const errorDiv = document.createElement('div');
         errorDiv.className = 'error-message';
-        errorDiv.innerHTML = `
-            <div class="error-content">
-                <h3>Error</h3>
-                <p>${message}</p>
-                <button onclick="location.reload()">Reload Page</button>
-            </div>
-        `;
-        
+
+        const content = document.createElement('div');
+        content.className = 'error-content';
+
+        const title = document.createElement('h3');
+        title.textContent = 'Error';
+        const text = document.createElement('p');
+        text.textContent = message;
+        const reloadButton = document.createElement('button');
+        reloadButton.textContent = 'Reload Page';
+        reloadButton.addEventListener('click', () => location.reload());
+
+        content.append(title, text, reloadButton);
+        errorDiv.appendChild(content);
         document.body.appendChild(errorDiv);
     }
 
@@ -98,12 +183,13 @@ document.addEventListener('DOMContentLoaded', () => {
                     document.getElementById('search-input').focus();
                 }
                 break;
-            case 'escape':
+            case 'escape': {
                 const detailsPanel = document.getElementById('details-panel');
                 if (detailsPanel.classList.contains('show')) {
                     searchManager.hideDetailsPanel();
                 }
                 break;
+            }
             case 'r':
                 if (event.ctrlKey || event.metaKey) {
                     event.preventDefault();
@@ -164,13 +250,10 @@ document.addEventListener('DOMContentLoaded', () => {
             });
         }
 
-        document.addEventListener('starSelected', (e) => {
-            if (searchManager) {
-                searchManager.showModelDetails(e.detail);
-                // Hide controls panel if details panel is shown on mobile
-                if (window.innerWidth <= 480 && controlsPanel.classList.contains('show')) {
-                    controlsPanel.classList.remove('show');
-                }
+        // SearchManager shows the details; hide the controls panel on mobile to make room
+        document.addEventListener('starSelected', () => {
+            if (window.innerWidth <= 480 && controlsPanel.classList.contains('show')) {
+                controlsPanel.classList.remove('show');
             }
         });
 
@@ -184,9 +267,15 @@ document.addEventListener('DOMContentLoaded', () => {
             }, 250);
         });
         
+        // Stop rotating in background tabs, and come back to the rotation as it was
+        let wasRotating = false;
         document.addEventListener('visibilitychange', () => {
-            if (constellation) {
-                constellation.isRotating = !document.hidden;
+            if (!constellation) return;
+            if (document.hidden) {
+                wasRotating = constellation.isRotating;
+                constellation.isRotating = false;
+            } else {
+                constellation.isRotating = wasRotating && !constellation.reducedMotion;
             }
         });
     }
@@ -200,7 +289,7 @@ document.addEventListener('DOMContentLoaded', () => {
             tooltip.className = 'ui-tooltip';
             tooltip.textContent = tooltipText;
             
-            element.addEventListener('mouseenter', (e) => {
+            element.addEventListener('mouseenter', () => {
                 document.body.appendChild(tooltip);
                 
                 const rect = element.getBoundingClientRect();
@@ -225,8 +314,10 @@ document.addEventListener('DOMContentLoaded', () => {
             console.log('%c🌟 Mental Models Constellation Debug Helpers', 'color: #3498db; font-size: 16px; font-weight: bold;');
             console.log('Available commands:');
             console.log('  app.parser.getStats() - Get parsing statistics');
-            console.log('  app.parser.searchModels("query") - Search models');
+            console.log('  app.searchManager.searchEngine.search("query") - Ranked search with scores');
+            console.log('  app.parser.validate(markdown) - Validate markdown and list diagnostics');
             console.log('  app.constellation.resetCamera() - Reset camera position');
+            console.log('  app.constellation.setLayout("sphere") - Switch layout (ring, spiral, sphere, force)');
             console.log('  app.searchManager.clearAll() - Clear all filters and search');
             console.log('  app.constellation.filterByCategory(["Category Name"]) - Filter by category');
         }
@@ -250,7 +341,3 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
 });
-
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { initApp };
-}
\ No newline at end of file
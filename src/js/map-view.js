@@ -0,0 +1,508 @@
+/**
+ * Map View
+ * A flat SVG map of the models for presentations and printing: each category
+ * is a labelled region listing its models by name. It shows the stars the
+ * constellation shows, with the same filters, colours, highlights and selection.
+ */
+
+class MapView {
+    /**
+     * @param {MentalModelsParser} parser - Source of models and categories
+     * @param {ConstellationVisualization} constellation - Star state to mirror
+     */
+    constructor(parser, constellation) {
+        this.parser = parser;
+        this.constellation = constellation;
+        this.storage = UserDataStore.getLocalStorage();
+        this.storageKey = 'constellation-view';
+
+        // Layout in SVG units
+        this.regionWidth = 440;
+        this.columnWidth = 200; // Two columns of names per region
+        this.rowHeight = 22;
+        this.headerHeight = 50;
+        this.padding = 20;
+        this.gap = 40; // Between regions
+        this.maxNameLength = 30; // Longer names are shortened, see MapView.truncate
+
+        this.toggleButton = document.getElementById('map-button');
+        this.container = document.getElementById('map-container');
+        this.items = new Map(); // Model ID -> SVG group
+        this.layoutKey = null; // Visible model IDs the map was laid out for
+        this.bounds = { width: 0, height: 0 };
+        this.viewBox = { x: 0, y: 0, width: 1, height: 1 };
+        this.drag = null; // In-progress pan
+        this.wasDragged = false; // The last press panned, so it is not a click
+        this.refreshPending = false;
+
+        this.svg = document.createElementNS(MapView.SVG_NS, 'svg');
+        this.svg.setAttribute('class', 'map-svg');
+        this.svg.setAttribute('role', 'group');
+        this.svg.setAttribute('aria-label', 'Map of mental models by category');
+        this.container.appendChild(this.svg);
+        this.container.appendChild(this.createZoomControls());
+
+        this.init();
+    }
+
+    /**
+     * Draw the map and restore the last view mode
+     */
+    init() {
+        this.addEventListeners();
+        this.refresh();
+        if (this.storage && this.storage.getItem(this.storageKey) === 'map') {
+            this.show();
+        }
+    }
+
+    /**
+     * Add event listeners for the toggle, pan and zoom, clicks and star changes
+     */
+    addEventListeners() {
+        this.toggleButton.addEventListener('click', () => {
+            if (this.container.hidden) {
+                this.show();
+            } else {
+                this.hide();
+            }
+        });
+
+        this.svg.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            const delta = e.deltaMode === 1 ? e.deltaY * 33 : e.deltaY;
+            this.zoomAt(e.clientX, e.clientY, Math.exp(delta * 0.001));
+        });
+        this.svg.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+        this.svg.addEventListener('pointermove', (e) => this.onPointerMove(e));
+        this.svg.addEventListener('pointerup', () => this.onPointerUp());
+        this.svg.addEventListener('pointercancel', () => this.onPointerUp());
+
+        this.svg.addEventListener('click', (e) => {
+            const item = e.target.closest('.map-model');
+            if (item && !this.wasDragged) this.selectModel(item.dataset.modelId);
+        });
+        this.svg.addEventListener('keydown', (e) => {
+            const item = e.target.closest('.map-model');
+            if (item && (e.key === 'Enter' || e.key === ' ')) {
+                e.preventDefault();
+                this.selectModel(item.dataset.modelId);
+            }
+        });
+
+        // The constellation announces filter, colour and highlight changes; search
+        // updates several of them in a row, so they are applied once per frame
+        document.addEventListener('starsChanged', () => this.scheduleRefresh());
+        document.addEventListener('starSelected', () => this.scheduleRefresh());
+    }
+
+    /**
+     * Show the map in place of the constellation
+     */
+    show() {
+        this.container.hidden = false;
+        this.constellation.setVisible(false);
+        this.toggleButton.classList.add('active');
+        this.toggleButton.setAttribute('aria-pressed', 'true');
+        if (this.storage) this.storage.setItem(this.storageKey, 'map');
+        this.refresh();
+        this.fit();
+    }
+
+    /**
+     * Go back to the constellation
+     */
+    hide() {
+        this.container.hidden = true;
+        this.constellation.setVisible(true);
+        this.toggleButton.classList.remove('active');
+        this.toggleButton.setAttribute('aria-pressed', 'false');
+        if (this.storage) this.storage.setItem(this.storageKey, 'constellation');
+    }
+
+    /**
+     * Refresh on the next frame, once for any number of changes
+     */
+    scheduleRefresh() {
+        if (this.refreshPending) return;
+        this.refreshPending = true;
+        requestAnimationFrame(() => this.refresh());
+    }
+
+    /**
+     * Lay the map out again if other stars are visible now, then show the
+     * current colours, highlights and selection
+     */
+    refresh() {
+        this.refreshPending = false;
+
+        const groups = this.getVisibleModels();
+        const layoutKey = groups
+            .map(({ models }) => models.map((model) => model.id).join(','))
+            .join(';');
+        if (layoutKey !== this.layoutKey) {
+            this.layoutKey = layoutKey;
+            this.build(groups);
+            if (!this.container.hidden) this.fit();
+        }
+
+        const { stars, highlightedIds, selectedStar } = this.constellation;
+        this.svg.classList.toggle('map-has-highlights', highlightedIds.size > 0);
+        this.items.forEach((item, modelId) => {
+            const star = stars.get(modelId);
+            item.querySelector('circle').setAttribute(
+                'fill',
+                CategoryRegistry.toCss(this.constellation.getStarColor(star))
+            );
+            item.classList.toggle('map-model-highlighted', highlightedIds.has(modelId));
+            item.classList.toggle('map-model-selected', star === selectedStar);
+        });
+    }
+
+    /**
+     * Get the models whose stars are visible, by category
+     * @returns {Array<Object>} `{ category, models }` for categories with visible models
+     */
+    getVisibleModels() {
+        return this.parser
+            .getCategoryNames()
+            .map((category) => ({
+                category: category,
+                models: this.parser.getModelsByCategory(category).filter((model) => {
+                    const star = this.constellation.stars.get(model.id);
+                    return star && this.constellation.isStarVisible(star);
+                }),
+            }))
+            .filter(({ models }) => models.length > 0);
+    }
+
+    /**
+     * Place the category regions in columns, each region going into the shortest column
+     * @param {Array<Object>} groups - From getVisibleModels
+     */
+    build(groups) {
+        this.svg.innerHTML = '';
+        this.items.clear();
+
+        const columns = Math.max(1, Math.ceil(Math.sqrt(groups.length * 1.5)));
+        const heights = new Array(Math.min(columns, groups.length || 1)).fill(0);
+        groups.forEach(({ category, models }) => {
+            const rows = Math.ceil(models.length / 2);
+            const height = this.headerHeight + rows * this.rowHeight + this.padding;
+            const column = heights.indexOf(Math.min(...heights));
+            const x = column * (this.regionWidth + this.gap);
+            this.svg.appendChild(this.createRegion(category, models, x, heights[column], height));
+            heights[column] += height + this.gap;
+        });
+
+        this.bounds = {
+            width: heights.length * (this.regionWidth + this.gap) - this.gap,
+            height: Math.max(0, Math.max(...heights) - this.gap),
+        };
+    }
+
+    /**
+     * Create a category region with its name and models
+     * @param {string} category - Category name
+     * @param {Array<Object>} models - Models to list
+     * @param {number} x - Left edge in SVG units
+     * @param {number} y - Top edge
+     * @param {number} height - Region height
+     * @returns {SVGElement} Group element
+     */
+    createRegion(category, models, x, y, height) {
+        const config = this.constellation.categoryConfigs[category];
+        const color = config ? CategoryRegistry.toCss(config.color) : '#3498db';
+
+        const region = MapView.createElement('g', {
+            class: 'map-region',
+            transform: `translate(${x}, ${y})`,
+        });
+        region.appendChild(
+            MapView.createElement('rect', {
+                class: 'map-region-area',
+                width: this.regionWidth,
+                height: height,
+                rx: 12,
+                fill: color,
+                stroke: color,
+            })
+        );
+        const title = MapView.createElement('text', {
+            class: 'map-region-title',
+            x: this.padding,
+            y: this.padding + 14,
+            fill: color,
+        });
+        title.textContent = `${category} (${models.length})`;
+        region.appendChild(title);
+
+        models.forEach((model, index) => {
+            const column = index % 2;
+            const row = Math.floor(index / 2);
+            region.appendChild(
+                this.createModelItem(
+                    model,
+                    this.padding + column * (this.columnWidth + this.padding),
+                    this.headerHeight + row * this.rowHeight + this.rowHeight / 2
+                )
+            );
+        });
+        return region;
+    }
+
+    /**
+     * Create a dot and name for a model, opening its details when clicked
+     * @param {Object} model - Model to show
+     * @param {number} x - Left edge within the region
+     * @param {number} y - Middle of the row within the region
+     * @returns {SVGElement} Group element
+     */
+    createModelItem(model, x, y) {
+        const item = MapView.createElement('g', {
+            class: 'map-model',
+            transform: `translate(${x}, ${y})`,
+            tabindex: 0,
+            role: 'button',
+            'aria-label': model.name,
+            'data-model-id': model.id,
+        });
+
+        const tooltip = MapView.createElement('title');
+        tooltip.textContent = model.name;
+        const name = MapView.createElement('text', { class: 'map-model-name', x: 12, y: 4 });
+        name.textContent = MapView.truncate(model.name, this.maxNameLength);
+
+        item.append(tooltip, MapView.createElement('circle', { r: 5 }), name);
+        this.items.set(model.id, item);
+        return item;
+    }
+
+    /**
+     * Create the zoom in, zoom out and fit buttons
+     * @returns {HTMLElement} Button group
+     */
+    createZoomControls() {
+        const controls = document.createElement('div');
+        controls.className = 'map-controls';
+
+        const buttons = [
+            { icon: 'fa-plus', title: 'Zoom in', action: () => this.zoomBy(1 / 1.25) },
+            { icon: 'fa-minus', title: 'Zoom out', action: () => this.zoomBy(1.25) },
+            { icon: 'fa-expand', title: 'Fit to screen', action: () => this.fit() },
+        ];
+        buttons.forEach(({ icon, title, action }) => {
+            const button = document.createElement('button');
+            button.className = 'map-control-button';
+            button.title = title;
+            button.setAttribute('aria-label', title);
+            button.innerHTML = `<i class="fas ${icon}"></i>`;
+            button.addEventListener('click', action);
+            controls.appendChild(button);
+        });
+        return controls;
+    }
+
+    /**
+     * Open the details of a model, like clicking its star
+     * @param {string} modelId
+     */
+    selectModel(modelId) {
+        const star = this.constellation.stars.get(modelId);
+        if (star) this.constellation.selectStar(star);
+    }
+
+    /**
+     * Start panning
+     * @param {PointerEvent} event
+     */
+    onPointerDown(event) {
+        if (event.button !== 0) return;
+        this.drag = {
+            startX: event.clientX,
+            startY: event.clientY,
+            viewBox: Object.assign({}, this.viewBox),
+            pointerId: event.pointerId,
+        };
+        this.wasDragged = false;
+    }
+
+    /**
+     * Pan with the pointer; small movements still count as clicks
+     * @param {PointerEvent} event
+     */
+    onPointerMove(event) {
+        if (!this.drag) return;
+
+        const deltaX = event.clientX - this.drag.startX;
+        const deltaY = event.clientY - this.drag.startY;
+        if (!this.wasDragged && Math.hypot(deltaX, deltaY) < 5) return;
+        if (!this.wasDragged) {
+            this.wasDragged = true;
+            this.svg.setPointerCapture(this.drag.pointerId);
+            this.svg.classList.add('map-panning');
+        }
+
+        const unitsPerPixel = this.getUnitsPerPixel();
+        this.setViewBox(
+            Object.assign({}, this.drag.viewBox, {
+                x: this.drag.viewBox.x - deltaX * unitsPerPixel,
+                y: this.drag.viewBox.y - deltaY * unitsPerPixel,
+            })
+        );
+    }
+
+    /**
+     * End panning
+     */
+    onPointerUp() {
+        this.drag = null;
+        this.svg.classList.remove('map-panning');
+    }
+
+    /**
+     * Zoom towards a point on the screen, keeping what is under it in place
+     * @param {number} clientX - Screen position in px
+     * @param {number} clientY
+     * @param {number} scale - Factor for the visible area; below 1 zooms in
+     */
+    zoomAt(clientX, clientY, scale) {
+        const rect = this.svg.getBoundingClientRect();
+        const unitsPerPixel = this.getUnitsPerPixel();
+        const { x, y, width, height } = this.viewBox;
+
+        // With preserveAspectRatio="xMidYMid meet" the view box is centred in the element
+        const pointX = x + width / 2 + (clientX - rect.left - rect.width / 2) * unitsPerPixel;
+        const pointY = y + height / 2 + (clientY - rect.top - rect.height / 2) * unitsPerPixel;
+
+        // Between a few regions and the whole map with room round it
+        const fitWidth = this.bounds.width + this.gap * 2;
+        const clamped = Math.max(0.05, Math.min(2, (width * scale) / fitWidth)) * fitWidth;
+        const factor = clamped / width;
+
+        this.setViewBox({
+            x: pointX - (pointX - x) * factor,
+            y: pointY - (pointY - y) * factor,
+            width: width * factor,
+            height: height * factor,
+        });
+    }
+
+    /**
+     * Zoom about the middle of the map
+     * @param {number} scale - Factor for the visible area; below 1 zooms in
+     */
+    zoomBy(scale) {
+        const rect = this.svg.getBoundingClientRect();
+        this.zoomAt(rect.left + rect.width / 2, rect.top + rect.height / 2, scale);
+    }
+
+    /**
+     * Show the whole map
+     */
+    fit() {
+        this.setViewBox({
+            x: -this.gap,
+            y: -this.gap,
+            width: this.bounds.width + this.gap * 2,
+            height: this.bounds.height + this.gap * 2,
+        });
+    }
+
+    /**
+     * @param {Object} viewBox - `{ x, y, width, height }` in SVG units
+     */
+    setViewBox(viewBox) {
+        this.viewBox = viewBox;
+        const { x, y, width, height } = viewBox;
+        this.svg.setAttribute('viewBox', `${x} ${y} ${width} ${height}`);
+    }
+
+    /**
+     * How many SVG units one screen pixel covers at the current zoom
+     * @returns {number}
+     */
+    getUnitsPerPixel() {
+        const rect = this.svg.getBoundingClientRect();
+        if (!rect.width || !rect.height) return 1;
+        return Math.max(this.viewBox.width / rect.width, this.viewBox.height / rect.height);
+    }
+
+    /**
+     * Write the whole map as a standalone SVG file, with its current colours,
+     * highlights and selection
+     * @returns {string} SVG document
+     */
+    serialize() {
+        const svg = this.svg.cloneNode(true);
+        const margin = this.gap;
+        const width = this.bounds.width + margin * 2;
+        const height = this.bounds.height + margin * 2;
+        svg.setAttribute('viewBox', `${-margin} ${-margin} ${width} ${height}`);
+        svg.setAttribute('width', width);
+        svg.setAttribute('height', height);
+
+        // The page's style sheets do not travel with the file
+        const style = MapView.createElement('style');
+        style.textContent = MapView.EXPORT_STYLE;
+        const background = MapView.createElement('rect', {
+            x: -margin,
+            y: -margin,
+            width: width,
+            height: height,
+            fill: '#0a0a0a',
+        });
+        svg.insertBefore(background, svg.firstChild);
+        svg.insertBefore(style, svg.firstChild);
+
+        const markup = new XMLSerializer().serializeToString(svg);
+        return `<?xml version="1.0" encoding="UTF-8"?>\n${markup}`;
+    }
+
+    /**
+     * Shorten text to a length, ending it with an ellipsis
+     * @param {string} text
+     * @param {number} length - Maximum length including the ellipsis
+     * @returns {string}
+     */
+    static truncate(text, length) {
+        return text.length > length ? `${text.slice(0, length - 1).trimEnd()}…` : text;
+    }
+
+    /**
+     * Create an SVG element with attributes
+     * @param {string} tag - Element name
+     * @param {Object} [attributes] - Attribute values by name
+     * @returns {SVGElement}
+     */
+    static createElement(tag, attributes = {}) {
+        const element = document.createElementNS(MapView.SVG_NS, tag);
+        Object.entries(attributes).forEach(([name, value]) => {
+            element.setAttribute(name, value);
+        });
+        return element;
+    }
+}
+
+MapView.SVG_NS = 'http://www.w3.org/2000/svg';
+
+/**
+ * Styles of the exported SVG, matching the map's rules in main.css
+ */
+MapView.EXPORT_STYLE = [
+    'text { font-family: sans-serif; }',
+    '.map-region-area { fill-opacity: 0.08; stroke-opacity: 0.5; stroke-width: 2; }',
+    '.map-region-title { font-size: 20px; font-weight: bold; }',
+    '.map-model-name { font-size: 14px; fill: #ecf0f1; }',
+    '.map-has-highlights .map-model { opacity: 0.35; }',
+    '.map-has-highlights .map-model.map-model-highlighted { opacity: 1; }',
+    '.map-model-highlighted .map-model-name { font-weight: bold; }',
+    '.map-model-selected circle { stroke: #ffffff; stroke-width: 3; }',
+].join('\n');
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MapView;
+} else if (typeof window !== 'undefined') {
+    window.MapView = MapView;
+}
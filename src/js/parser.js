@@ -6,7 +6,15 @@
 class MentalModelsParser {
     constructor() {
         this.categories = {};
+        this.categoryMeta = {};
         this.currentCategory = null;
+        this.diagnostics = [];
+        this.modelLines = new Map();
+        this.modelSources = new Map();
+        this.explicitIds = new Set();
+        this.idAliases = new Map();
+        this.lineNumber = 0;
+        this.currentSource = null;
     }
 
     /**
@@ -15,43 +23,456 @@ class MentalModelsParser {
      * @returns {Object} Structured data with categories and mental models
      */
     parse(markdownText) {
+        return this.parseSources([{ text: markdownText }]);
+    }
+
+    /**
+     * Parse several markdown sources into one dataset.
+     * Categories of a source with a namespace are prefixed as "Namespace / Category";
+     * categories with the same full name are merged. IDs are unique across all sources.
+     * @param {Array<Object>} sources - `{ text, namespace, name }` per source
+     * @returns {Object} Structured data with categories and mental models
+     */
+    parseSources(sources) {
         // Reset state
         this.categories = {};
+        this.categoryMeta = {};
+        this.diagnostics = [];
+        this.modelLines = new Map();
+        this.modelSources = new Map();
+        this.explicitIds = new Set();
+        this.idAliases = new Map();
+
+        sources.forEach((source) => {
+            this.currentSource = source.name || null;
+            this.parseText(source.text, source.namespace);
+        });
+
+        this.currentSource = null;
+        this.assignIds();
+
+        return this.categories;
+    }
+
+    /**
+     * Parse one markdown source into the current dataset
+     * @param {string} markdownText - The raw markdown text
+     * @param {string} [namespace] - Prefix for the source's category names
+     */
+    parseText(markdownText, namespace) {
         this.currentCategory = null;
 
+        let currentModel = null;
+        let openList = null;
+        let inCategoryHeader = false;
+
         // Split into lines and process each line
         const lines = markdownText.split('\n');
 
         for (let i = 0; i < lines.length; i++) {
-            const line = lines[i].trim();
+            this.lineNumber = i + 1;
+            const rawLine = lines[i].replace(/\s+$/, '');
+            const line = rawLine.trim();
 
             if (!line) {
                 continue;
             }
 
+            // Indented lines below a model carry its metadata
+            if (/^\s/.test(rawLine) && currentModel) {
+                openList = this.parseMetadataLine(rawLine, currentModel, openList);
+                continue;
+            }
+            // Indented lines directly below a category header configure the category
+            if (/^\s/.test(rawLine) && inCategoryHeader) {
+                this.parseCategoryMetadataLine(rawLine);
+                continue;
+            }
+            if (/^\s/.test(rawLine) && !line.startsWith('*   **')) {
+                this.report(
+                    'warning',
+                    'orphan-metadata',
+                    'Indented line does not belong to any model',
+                    rawLine.length - line.length + 1
+                );
+                continue;
+            }
+
+            currentModel = null;
+            openList = null;
+            inCategoryHeader = false;
+
             // Check for category headers
             if (line.startsWith('## ')) {
-                this.currentCategory = line.substring(3).trim();
-                this.categories[this.currentCategory] = [];
+                const title = line.substring(3).trim();
+                if (!title) {
+                    this.currentCategory = null;
+                    this.report('error', 'empty-category-name', 'Category header has no name', 1);
+                    continue;
+                }
+                this.currentCategory = namespace ? `${namespace} / ${title}` : title;
+                this.categories[this.currentCategory] = this.categories[this.currentCategory] || [];
+                inCategoryHeader = true;
                 continue;
             }
 
             // Parse model and description
-            if (this.currentCategory && line.startsWith('*   **')) {
-                const parts = line.substring(6).split(':**');
-                if (parts.length === 2) {
-                    const model = {
-                        name: parts[0].trim(),
-                        description: parts[1].trim(),
-                        id: this.generateId(parts[0].trim()),
-                        category: this.currentCategory,
-                    };
-                    this.categories[this.currentCategory].push(model);
+            if (/^[*-]\s/.test(line)) {
+                currentModel = this.parseModelLine(line);
+            }
+        }
+    }
+
+    /**
+     * Parse a top-level `*   **Name:** description` bullet
+     * @param {string} line - The trimmed bullet line
+     * @returns {Object|null} The created model or null if the line was rejected
+     */
+    parseModelLine(line) {
+        if (!line.startsWith('*   **')) {
+            this.report(
+                'error',
+                'malformed-bullet',
+                'Model bullets must be written as "*   **Name:** description"',
+                1
+            );
+            return null;
+        }
+
+        const parts = line.substring(6).split(':**');
+        if (parts.length !== 2) {
+            const message =
+                parts.length < 2
+                    ? 'Model name must be closed with ":**"'
+                    : 'Model line contains ":**" more than once';
+            this.report('error', 'malformed-bullet', message, 7);
+            return null;
+        }
+
+        if (!this.currentCategory) {
+            this.report(
+                'error',
+                'model-outside-category',
+                `"${parts[0].trim()}" is not under a "## Category" header`,
+                1
+            );
+            return null;
+        }
+
+        const name = parts[0].trim();
+        const description = parts[1].trim();
+
+        if (!name) {
+            this.report('error', 'empty-name', 'Model has no name', 7);
+            return null;
+        }
+        if (!description) {
+            this.report('error', 'empty-description', `"${name}" has no description`, line.length);
+        }
+
+        const model = this.createModel(name, description);
+        this.categories[this.currentCategory].push(model);
+        this.modelLines.set(model, this.lineNumber);
+        this.modelSources.set(model, this.currentSource);
+        return model;
+    }
+
+    /**
+     * Record a diagnostic for the line currently being parsed
+     * @param {string} severity - 'error' or 'warning'
+     * @param {string} code - Stable machine-readable code
+     * @param {string} message - Human-readable message
+     * @param {number} column - 1-based column
+     * @param {number|Object} [location] - 1-based line or a parsed model;
+     *     defaults to the current line
+     */
+    report(severity, code, message, column, location) {
+        let line = this.lineNumber;
+        let source = this.currentSource;
+
+        if (typeof location === 'number') {
+            line = location;
+        } else if (location) {
+            line = this.modelLines.get(location);
+            source = this.modelSources.get(location);
+        }
+
+        this.diagnostics.push({
+            severity: severity,
+            code: code,
+            message: message,
+            source: source,
+            line: line,
+            column: column || 1,
+        });
+    }
+
+    /**
+     * Validate markdown content and collect diagnostics.
+     * Runs a full parse, then checks the dataset as a whole.
+     * @param {string} markdownText - The raw markdown text
+     * @param {Object} [options]
+     * @param {Array<string>} [options.knownCategories] - Categories configured in
+     *     categories.json; others without inline config are reported
+     * @returns {Object} `{ valid, diagnostics, stats }`
+     */
+    validate(markdownText, options = {}) {
+        this.parse(markdownText);
+
+        const namesSeen = new Map();
+
+        this.getAllModels().forEach((model) => {
+            const nameKey = model.name.toLowerCase();
+
+            if (namesSeen.has(nameKey)) {
+                // Repeating a name across categories is legitimate but ambiguous
+                const first = namesSeen.get(nameKey);
+                const sameCategory = first.category === model.category;
+                this.report(
+                    sameCategory ? 'error' : 'warning',
+                    'duplicate-name',
+                    `"${model.name}" is already defined on line ${this.modelLines.get(first)}` +
+                        (sameCategory ? '' : ` in "${first.category}"`),
+                    7,
+                    model
+                );
+            } else {
+                namesSeen.set(nameKey, model);
+            }
+
+            model.related.forEach((name) => {
+                if (!this.findModel(name)) {
+                    this.report(
+                        'warning',
+                        'unknown-related',
+                        `"${model.name}" is related to unknown model "${name}"`,
+                        1,
+                        model
+                    );
+                }
+            });
+        });
+
+        if (options.knownCategories) {
+            this.getCategoryNames().forEach((category) => {
+                const meta = this.getCategoryMeta(category);
+                const configured = meta.color !== undefined && meta.position;
+                if (!configured && !options.knownCategories.includes(category)) {
+                    this.report(
+                        'warning',
+                        'unknown-category',
+                        `Category "${category}" has no configured colour or position; ` +
+                            'they will be assigned automatically',
+                        4,
+                        this.findCategoryLine(markdownText, category)
+                    );
                 }
+            });
+        }
+
+        this.getCategoryNames().forEach((category) => {
+            if (this.categories[category].length === 0) {
+                this.report(
+                    'warning',
+                    'empty-category',
+                    `Category "${category}" has no models`,
+                    4,
+                    this.findCategoryLine(markdownText, category)
+                );
+            }
+        });
+
+        const diagnostics = this.diagnostics
+            .slice()
+            .sort((a, b) => a.line - b.line || a.column - b.column);
+
+        return {
+            valid: !diagnostics.some((diagnostic) => diagnostic.severity === 'error'),
+            diagnostics: diagnostics,
+            stats: this.getStats(),
+        };
+    }
+
+    /**
+     * Find the line number of a category header
+     * @param {string} markdownText - The raw markdown text
+     * @param {string} category - Category name
+     * @returns {number} 1-based line number, or 0 if not found
+     */
+    findCategoryLine(markdownText, category) {
+        const lines = markdownText.split('\n');
+        const index = lines.findIndex((line) => line.trim() === `## ${category}`);
+        return index + 1;
+    }
+
+    /**
+     * Create a mental model object with empty metadata
+     * @param {string} name - The model name
+     * @param {string} description - The one-sentence description
+     * @returns {Object} Mental model object
+     */
+    createModel(name, description) {
+        return {
+            name: name,
+            description: description,
+            id: this.generateId(name),
+            category: this.currentCategory,
+            tags: [],
+            sources: [],
+            links: [],
+            examples: [],
+            related: [],
+            aliases: [],
+            extra: {},
+        };
+    }
+
+    /**
+     * Parse an indented metadata line belonging to a model.
+     * Accepts `*   key: value` sub-bullets and YAML-ish `key: value` lines;
+     * a key with no value opens a nested list whose items are indented below it.
+     * @param {string} rawLine - The metadata line including its indentation
+     * @param {Object} model - The model the metadata belongs to
+     * @param {Object|null} openList - The nested list opened by a bare key, if any
+     * @returns {Object|null} The nested list that is still open
+     */
+    parseMetadataLine(rawLine, model, openList) {
+        const indent = rawLine.length - rawLine.trimStart().length;
+        const content = rawLine.trim().replace(/^[*-]\s+/, '');
+
+        if (openList && indent > openList.indent) {
+            this.addMetadata(model, openList.key, content, false);
+            return openList;
+        }
+
+        const match = content.match(/^([A-Za-z][\w -]*?)\s*:\s*(.*)$/);
+        if (!match || /^https?$/i.test(match[1])) {
+            this.report(
+                'warning',
+                'malformed-metadata',
+                'Metadata must be written as "key: value"',
+                indent + 1
+            );
+            return null;
+        }
+
+        const key = match[1].trim().toLowerCase();
+        if (!MentalModelsParser.METADATA_FIELDS[key]) {
+            this.report(
+                'warning',
+                'unknown-metadata-key',
+                `Unknown metadata key "${key}" is kept in model.extra`,
+                indent + 1
+            );
+        }
+        const value = match[2].trim();
+        if (!value) {
+            return { key: key, indent: indent };
+        }
+
+        this.addMetadata(model, key, value, true);
+        return null;
+    }
+
+    /**
+     * Parse an indented `key: value` line below a category header.
+     * Recognised keys are color, icon, description and position ("x, y, z").
+     * @param {string} rawLine - The metadata line including its indentation
+     */
+    parseCategoryMetadataLine(rawLine) {
+        const column = rawLine.length - rawLine.trimStart().length + 1;
+        const content = rawLine.trim().replace(/^[*-]\s+/, '');
+        const match = content.match(/^([A-Za-z]+)\s*:\s*(.+)$/);
+
+        if (!match) {
+            this.report(
+                'warning',
+                'malformed-metadata',
+                'Category metadata must be written as "key: value"',
+                column
+            );
+            return;
+        }
+
+        const key = match[1].toLowerCase();
+        const value = match[2].trim();
+        const meta = this.categoryMeta[this.currentCategory] || {};
+        this.categoryMeta[this.currentCategory] = meta;
+
+        if (key === 'color' || key === 'colour') {
+            if (/^#[0-9a-f]{6}$/i.test(value)) {
+                meta.color = parseInt(value.substring(1), 16);
+            } else {
+                this.report(
+                    'warning',
+                    'invalid-color',
+                    `"${value}" is not a #rrggbb colour`,
+                    column
+                );
+            }
+        } else if (key === 'icon' || key === 'description') {
+            meta[key] = value;
+        } else if (key === 'position') {
+            const coords = value.split(',').map((coord) => Number(coord.trim()));
+            if (coords.length === 3 && coords.every((coord) => isFinite(coord))) {
+                meta.position = { x: coords[0], y: coords[1], z: coords[2] };
+            } else {
+                this.report('warning', 'invalid-position', 'Position must be "x, y, z"', column);
             }
+        } else {
+            this.report(
+                'warning',
+                'unknown-metadata-key',
+                `Unknown category metadata key "${key}"`,
+                column
+            );
         }
+    }
 
-        return this.categories;
+    /**
+     * Add a metadata value to a model
+     * @param {Object} model - The model to update
+     * @param {string} key - Metadata key as written in the markdown
+     * @param {string} value - Raw value
+     * @param {boolean} inline - Whether the value was written inline after the key
+     */
+    addMetadata(model, key, value, inline) {
+        const field = MentalModelsParser.METADATA_FIELDS[key];
+
+        if (field && field.name === 'id') {
+            model.id = value;
+            this.explicitIds.add(model);
+            return;
+        }
+
+        if (!field) {
+            model.extra[key] = model.extra[key] || [];
+            model.extra[key].push(value);
+            return;
+        }
+
+        // Comma-separated lists are only split when written inline
+        let values = [value];
+        if (inline && field.list) {
+            values = value.split(',').map((item) => item.trim());
+        }
+
+        values.filter(Boolean).forEach((item) => {
+            model[field.name].push(field.name === 'links' ? this.parseLink(item) : item);
+        });
+    }
+
+    /**
+     * Parse a further-reading entry written as `[Title](url)` or a bare URL
+     * @param {string} value - The raw link text
+     * @returns {Object} Link with title and url
+     */
+    parseLink(value) {
+        const match = value.match(/^\[([^\]]+)\]\(([^)\s]+)\)$/);
+        if (match) {
+            return { title: match[1].trim(), url: match[2] };
+        }
+        return { title: value, url: /^https?:\/\//i.test(value) ? value : '' };
     }
 
     /**
@@ -148,6 +569,110 @@ class MentalModelsParser {
             .substring(0, 30); // Limit length
     }
 
+    /**
+     * Make every model ID unique across the dataset.
+     * Explicit `id:` overrides are reserved first; a generated ID that is
+     * already taken gets a suffix hashed from the category and full name.
+     * Which model keeps the plain ID depends on the order of the file, so
+     * every collision is reported with the `id:` line that pins it.
+     */
+    assignIds() {
+        const taken = new Map();
+        const models = this.getAllModels();
+
+        models.forEach((model) => {
+            if (!this.explicitIds.has(model)) return;
+
+            if (!/^[a-z0-9][a-z0-9-]*$/.test(model.id)) {
+                this.report(
+                    'error',
+                    'invalid-id',
+                    `ID "${model.id}" of "${model.name}" may only contain a-z, 0-9 and "-"`,
+                    1,
+                    model
+                );
+            }
+            if (taken.has(model.id)) {
+                this.report(
+                    'error',
+                    'duplicate-id',
+                    `ID "${model.id}" of "${model.name}" is already used by "${
+                        taken.get(model.id).name
+                    }"`,
+                    1,
+                    model
+                );
+                this.explicitIds.delete(model);
+                model.id = this.generateId(model.name);
+                return;
+            }
+            taken.set(model.id, model);
+        });
+
+        models.forEach((model) => {
+            if (this.explicitIds.has(model)) return;
+
+            const baseId = this.generateId(model.name);
+            let id = baseId;
+
+            if (taken.has(id)) {
+                const other = taken.get(id);
+                id = `${baseId}-${this.hashString(`${model.category}/${model.name}`)}`;
+                for (let n = 2; taken.has(id); n++) {
+                    id = `${baseId}-${this.hashString(`${model.category}/${model.name}`)}-${n}`;
+                }
+                this.report(
+                    'warning',
+                    'id-collision',
+                    `"${model.name}" shares the ID "${baseId}" with "${other.name}" and ` +
+                        `was given "${id}", which changes if the file is reordered; ` +
+                        `add "id: ${id}" to pin it`,
+                    7,
+                    model
+                );
+            }
+
+            model.id = id;
+            taken.set(id, model);
+        });
+
+        // Former names and IDs keep resolving after a rename
+        models.forEach((model) => {
+            model.aliases.forEach((alias) => {
+                const aliasId = /^[a-z0-9-]+$/.test(alias) ? alias : this.generateId(alias);
+                if (aliasId !== model.id && !taken.has(aliasId)) {
+                    this.idAliases.set(aliasId, model.id);
+                }
+            });
+        });
+    }
+
+    /**
+     * Resolve an ID, following aliases of renamed models
+     * @param {string} id - A current or former model ID
+     * @returns {string|null} The current model ID, or null if unknown
+     */
+    resolveId(id) {
+        if (this.getAllModels().some((model) => model.id === id)) {
+            return id;
+        }
+        return this.idAliases.get(id) || null;
+    }
+
+    /**
+     * Short deterministic hash of a string (FNV-1a, base 36)
+     * @param {string} text - Text to hash
+     * @returns {string} Four-character hash
+     */
+    hashString(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(36).padStart(4, '0').slice(-4);
+    }
+
     /**
      * Get category statistics
      * @returns {Object} Statistics about the parsed data
@@ -215,8 +740,241 @@ class MentalModelsParser {
     getCategoryNames() {
         return Object.keys(this.categories);
     }
+
+    /**
+     * Get metadata written under a category header
+     * @param {string} category - Category name
+     * @returns {Object} Category metadata (color, icon, description, position)
+     */
+    getCategoryMeta(category) {
+        return this.categoryMeta[category] || {};
+    }
+
+    /**
+     * Find a model by its name (case-insensitive) or ID, current or former
+     * @param {string} nameOrId - Model name or ID, or an alias such as a former name
+     * @returns {Object|null} The matching model or null
+     */
+    findModel(nameOrId) {
+        if (!nameOrId) return null;
+
+        const needle = nameOrId.trim().toLowerCase();
+        const id = this.resolveId(needle) || needle;
+        const models = this.getAllModels();
+        return (
+            models.find((model) => model.id === id || model.name.toLowerCase() === needle) ||
+            models.find((model) => model.aliases.some((alias) => alias.toLowerCase() === needle)) ||
+            null
+        );
+    }
+
+    /**
+     * Write the dataset back as canonical markdown. Categories and models keep their
+     * order; metadata is written under its canonical keys, in SERIALIZED_KEYS order.
+     * Parsing the result gives the same categories, category metadata, models and IDs.
+     * Lines skipped while parsing are not part of the dataset and are not written.
+     * @returns {string} Markdown text
+     * @throws {Error} If a value cannot be written so that it parses back unchanged
+     */
+    serialize() {
+        const blocks = this.getCategoryNames().map((category) => this.serializeCategory(category));
+        return blocks.join('\n\n') + '\n';
+    }
+
+    /**
+     * Write a category header, its metadata lines and its models
+     * @param {string} category - Category name
+     * @returns {string} Markdown lines
+     */
+    serializeCategory(category) {
+        const name = MentalModelsParser.toLine(category, 'Category name');
+        if (!name) {
+            throw new Error('Category has no name');
+        }
+
+        const lines = [`## ${name}`];
+        const meta = this.getCategoryMeta(category);
+        if (meta.color !== undefined) {
+            if (!Number.isInteger(meta.color) || meta.color < 0 || meta.color > 0xffffff) {
+                throw new Error(`Colour of "${name}" is not a #rrggbb colour`);
+            }
+            lines.push(`    color: #${meta.color.toString(16).padStart(6, '0')}`);
+        }
+        ['icon', 'description'].forEach((key) => {
+            const value = MentalModelsParser.toLine(meta[key] || '', `Category ${key}`);
+            if (value) lines.push(`    ${key}: ${value}`);
+        });
+        if (meta.position) {
+            const { x, y, z } = meta.position;
+            if (![x, y, z].every((coord) => typeof coord === 'number' && isFinite(coord))) {
+                throw new Error(`Position of "${name}" must be three numbers`);
+            }
+            lines.push(`    position: ${x}, ${y}, ${z}`);
+        }
+
+        const models = this.categories[category].map((model) => this.serializeModel(model));
+        if (models.length) {
+            lines.push('', ...models);
+        }
+        return lines.join('\n');
+    }
+
+    /**
+     * Write a model bullet and its metadata sub-bullets.
+     * The ID is written only if it was pinned or differs from the one generated
+     * from the name, e.g. after an ID collision.
+     * @param {Object} model - Mental model object
+     * @returns {string} Markdown lines
+     */
+    serializeModel(model) {
+        const name = MentalModelsParser.toLine(model.name, 'Model name');
+        const description = MentalModelsParser.toLine(
+            model.description,
+            `Description of "${name}"`
+        );
+        if (!name) {
+            throw new Error('Model has no name');
+        }
+        if (name.includes(':**') || description.includes(':**')) {
+            throw new Error(`"${name}" contains ":**", which would end its name early`);
+        }
+
+        const lines = [description ? `*   **${name}:** ${description}` : `*   **${name}:**`];
+
+        if (this.explicitIds.has(model) || model.id !== this.generateId(model.name)) {
+            lines.push(...this.serializeMetadata('id', [model.id], false));
+        }
+        MentalModelsParser.SERIALIZED_KEYS.forEach((key) => {
+            const field = MentalModelsParser.METADATA_FIELDS[key];
+            const values =
+                field.name === 'links'
+                    ? model.links.map((link) => this.serializeLink(link))
+                    : model[field.name];
+            lines.push(...this.serializeMetadata(key, values, field.list));
+        });
+
+        Object.keys(model.extra).forEach((key) => {
+            const known = MentalModelsParser.METADATA_FIELDS[key];
+            if (
+                known ||
+                !/^[a-z][\w -]*$/.test(key) ||
+                key !== key.trim() ||
+                /^https?$/.test(key)
+            ) {
+                throw new Error(`"${key}" of "${name}" cannot be written as a metadata key`);
+            }
+            lines.push(...this.serializeMetadata(key, model.extra[key], false));
+        });
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Write the sub-bullets of one metadata key. List values share one
+     * comma-separated line unless one of them contains a comma, in which case
+     * they are written as a nested list; other values get a line each.
+     * @param {string} key - Metadata key
+     * @param {Array<string>} values - Values; empty ones are left out
+     * @param {boolean} list - Whether inline values are split at commas
+     * @returns {Array<string>} Markdown lines
+     */
+    serializeMetadata(key, values, list) {
+        const items = values
+            .map((value) => MentalModelsParser.toLine(value, `Value of "${key}"`))
+            .filter(Boolean);
+
+        if (!items.length) {
+            return [];
+        }
+        if (!list) {
+            return items.map((item) => `    *   ${key}: ${item}`);
+        }
+        if (items.some((item) => item.includes(','))) {
+            return [`    *   ${key}:`].concat(items.map((item) => `        *   ${item}`));
+        }
+        return [`    *   ${key}: ${items.join(', ')}`];
+    }
+
+    /**
+     * Write a link so that parseLink() reads it back: as a bare URL, a plain
+     * title, or `[Title](url)`
+     * @param {Object} link - Link with title and url
+     * @returns {string} Link text
+     */
+    serializeLink(link) {
+        const title = (link.title || '').trim();
+        const url = (link.url || '').trim();
+        const isWebUrl = (text) => /^https?:\/\//i.test(text);
+
+        if (url && url === title && isWebUrl(url)) {
+            return url;
+        }
+        if (!url && !isWebUrl(title) && !/^\[[^\]]+\]\([^)\s]+\)$/.test(title)) {
+            return title;
+        }
+        if (title && url && !title.includes(']') && !/[)\s]/.test(url)) {
+            return `[${title}](${url})`;
+        }
+        throw new Error(`Link "${title}" (${url}) cannot be written as [Title](url)`);
+    }
 }
 
+/**
+ * Format a diagnostic as a compiler-style `file:line:column` message
+ * @param {Object} diagnostic - Diagnostic returned by validate()
+ * @param {string} [fileName] - File name to prefix the location with
+ * @returns {string} Formatted message
+ */
+MentalModelsParser.formatDiagnostic = function (diagnostic, fileName) {
+    const file = diagnostic.source || fileName || '<input>';
+    const location = `${file}:${diagnostic.line}:${diagnostic.column}`;
+    return `${location}: ${diagnostic.severity}: ${diagnostic.message} [${diagnostic.code}]`;
+};
+
+/**
+ * Trim a value that is written on a markdown line of its own
+ * @param {*} value - Value to write; null and undefined become an empty string
+ * @param {string} what - Description of the value for the error message
+ * @returns {string} Trimmed text
+ * @throws {Error} If the value contains a line break
+ */
+MentalModelsParser.toLine = function (value, what) {
+    const text = value === undefined || value === null ? '' : String(value).trim();
+    if (text.includes('\n')) {
+        throw new Error(`${what} "${text.split('\n')[0]}..." contains a line break`);
+    }
+    return text;
+};
+
+/**
+ * Metadata keys recognised under a model, mapped to the model field they fill.
+ * `list` fields accept comma-separated inline values.
+ */
+MentalModelsParser.METADATA_FIELDS = {
+    tags: { name: 'tags', list: true },
+    tag: { name: 'tags', list: true },
+    source: { name: 'sources', list: false },
+    sources: { name: 'sources', list: false },
+    author: { name: 'sources', list: false },
+    reading: { name: 'links', list: false },
+    'further reading': { name: 'links', list: false },
+    link: { name: 'links', list: false },
+    links: { name: 'links', list: false },
+    example: { name: 'examples', list: false },
+    examples: { name: 'examples', list: false },
+    related: { name: 'related', list: true },
+    'see also': { name: 'related', list: true },
+    id: { name: 'id', list: false },
+    aliases: { name: 'aliases', list: true },
+    alias: { name: 'aliases', list: true },
+    formerly: { name: 'aliases', list: true },
+};
+
+/**
+ * Keys serialize() writes model metadata under, one per model field, in order
+ */
+MentalModelsParser.SERIALIZED_KEYS = ['aliases', 'tags', 'source', 'reading', 'example', 'related'];
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = MentalModelsParser;
@@ -0,0 +1,188 @@
+/**
+ * Query Parser
+ * Parses search box queries such as `category:"Military and War" cost -bias`
+ *
+ * Grammar:
+ *   query       := clause+
+ *   clause      := alternative ( "OR" alternative )*
+ *   alternative := [ "-" | "NOT" ] [ field ":" ] ( word | "quoted phrase" )
+ *
+ * Clauses are ANDed; OR binds tighter than the implicit AND, so
+ * `cost OR price bias` means `(cost OR price) AND bias`.
+ */
+
+class QuerySyntaxError extends Error {
+    /**
+     * @param {string} message - What is wrong with the query
+     * @param {number} position - 0-based offset in the query where the problem starts
+     */
+    constructor(message, position) {
+        super(message);
+        this.name = 'QuerySyntaxError';
+        this.position = position;
+    }
+}
+
+class QueryParser {
+    /**
+     * Parse a query string
+     * @param {string} query - The query as typed
+     * @returns {Object} `{ clauses, negations }`: clauses is an array of OR-groups
+     *     (arrays of terms); negations is an array of terms to exclude.
+     *     A term is `{ field, value, phrase, position }`; field is null for free text.
+     * @throws {QuerySyntaxError} If the query is malformed
+     */
+    parse(query) {
+        const tokens = this.tokenize(query);
+        const clauses = [];
+        const negations = [];
+        let pendingOr = null;
+
+        tokens.forEach((token, index) => {
+            if (token.type === 'or') {
+                const previous = clauses[clauses.length - 1];
+                if (!previous || pendingOr || tokens[index - 1].type === 'or') {
+                    throw new QuerySyntaxError(
+                        'OR must be placed between two terms',
+                        token.position
+                    );
+                }
+                pendingOr = token;
+                return;
+            }
+
+            if (token.negated) {
+                if (pendingOr) {
+                    throw new QuerySyntaxError(
+                        'Excluded terms cannot be combined with OR',
+                        token.position
+                    );
+                }
+                negations.push(token.term);
+                return;
+            }
+
+            if (pendingOr) {
+                clauses[clauses.length - 1].push(token.term);
+                pendingOr = null;
+            } else {
+                clauses.push([token.term]);
+            }
+        });
+
+        if (pendingOr) {
+            throw new QuerySyntaxError('OR must be followed by a term', pendingOr.position);
+        }
+
+        return { clauses: clauses, negations: negations };
+    }
+
+    /**
+     * Get the quoted phrases of a query so they can be highlighted literally.
+     * Category phrases are left out; they name a category rather than text to mark.
+     * @param {string} query - The query as typed
+     * @returns {Array<string>} Phrase values
+     * @throws {QuerySyntaxError} If the query is malformed
+     */
+    getPhrases(query) {
+        return this.parse(query)
+            .clauses.reduce((terms, alternatives) => terms.concat(alternatives), [])
+            .filter((term) => term.phrase && term.field !== 'category')
+            .map((term) => term.value);
+    }
+
+    /**
+     * Split a query into OR operators and (possibly negated, fielded) terms
+     * @param {string} query - The query as typed
+     * @returns {Array<Object>} Tokens
+     */
+    tokenize(query) {
+        const tokens = [];
+        let i = 0;
+
+        while (i < query.length) {
+            if (/\s/.test(query[i])) {
+                i++;
+                continue;
+            }
+
+            const start = i;
+            let negated = false;
+
+            if (query[i] === '-') {
+                negated = true;
+                i++;
+            } else if (query.startsWith('NOT ', i)) {
+                negated = true;
+                i += 4;
+                while (/\s/.test(query[i])) i++;
+            }
+
+            if (!negated && /^OR(\s|$)/.test(query.slice(i))) {
+                tokens.push({ type: 'or', position: start });
+                i += 2;
+                continue;
+            }
+
+            // Other `word:` prefixes (URLs, "Note:") stay part of a free-text term
+            let field = null;
+            const fieldMatch = query.slice(i).match(/^([A-Za-z]+):/);
+            if (fieldMatch && QueryParser.FIELDS[fieldMatch[1].toLowerCase()]) {
+                field = QueryParser.FIELDS[fieldMatch[1].toLowerCase()];
+                i += fieldMatch[0].length;
+            }
+
+            const valueStart = i;
+            let value;
+            let phrase = false;
+
+            if (query[i] === '"') {
+                const end = query.indexOf('"', i + 1);
+                if (end === -1) {
+                    throw new QuerySyntaxError('Missing closing quote', i);
+                }
+                value = query.slice(i + 1, end).trim();
+                phrase = true;
+                i = end + 1;
+            } else {
+                while (i < query.length && !/\s/.test(query[i])) i++;
+                value = query.slice(valueStart, i);
+            }
+
+            if (!value) {
+                const what = field ? `"${fieldMatch[0]}"` : negated ? '"-"' : 'Quotes';
+                throw new QuerySyntaxError(`${what} must be followed by a value`, start);
+            }
+
+            tokens.push({
+                type: 'term',
+                negated: negated,
+                position: start,
+                term: { field: field, value: value, phrase: phrase, position: start },
+            });
+        }
+
+        return tokens;
+    }
+}
+
+/**
+ * Field prefixes accepted in queries, mapped to the model field they search
+ */
+QueryParser.FIELDS = {
+    name: 'name',
+    category: 'category',
+    cat: 'category',
+    description: 'description',
+    desc: 'description',
+    tag: 'tags',
+    tags: 'tags',
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { QueryParser, QuerySyntaxError };
+} else if (typeof window !== 'undefined') {
+    window.QueryParser = QueryParser;
+    window.QuerySyntaxError = QuerySyntaxError;
+}
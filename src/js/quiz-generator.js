@@ -0,0 +1,149 @@
+/**
+ * Quiz Questions
+ * Builds multiple-choice questions from the parsed models: which model a
+ * description belongs to, or which category a model is in
+ */
+
+class QuizGenerator {
+    /**
+     * @param {MentalModelsParser} parser - Source of models and categories
+     * @param {Object} [options]
+     * @param {number} [options.distractors] - Wrong choices per question
+     * @param {Function} [options.random] - Returns numbers in [0, 1); Math.random by default
+     */
+    constructor(parser, options = {}) {
+        this.parser = parser;
+        this.distractors = options.distractors || 4;
+        this.random = options.random || Math.random;
+    }
+
+    /**
+     * Create a question about a random model
+     * @param {string} [type] - 'model' or 'category'; random when omitted
+     * @returns {Object|null} `{ type, model, prompt, choices, answerIndex }` where each
+     *     choice is `{ label, value }`; null if the data is too small for a question
+     */
+    createQuestion(type) {
+        const models = this.parser.getAllModels();
+        const canAskCategory = this.parser.getCategoryNames().length > 1;
+        if (models.length < 2) return null;
+
+        if (!type) {
+            type = canAskCategory && this.random() < 0.5 ? 'category' : 'model';
+        }
+        if (type === 'category' && !canAskCategory) return null;
+
+        const model = models[Math.floor(this.random() * models.length)];
+        return type === 'category'
+            ? this.createCategoryQuestion(model)
+            : this.createModelQuestion(model);
+    }
+
+    /**
+     * Ask which model a description belongs to. Distractors come from the same
+     * category, topped up from other categories when it is too small.
+     * @param {Object} model - The answer
+     * @returns {Object} Question
+     */
+    createModelQuestion(model) {
+        const isDistractor = (other) =>
+            other !== model && other.name.toLowerCase() !== model.name.toLowerCase();
+
+        let distractors = this.sample(
+            this.parser.getModelsByCategory(model.category).filter(isDistractor),
+            this.distractors
+        );
+        if (distractors.length < this.distractors) {
+            const names = new Set(distractors.map((other) => other.name.toLowerCase()));
+            const others = this.parser
+                .getAllModels()
+                .filter(
+                    (other) =>
+                        other.category !== model.category &&
+                        isDistractor(other) &&
+                        !names.has(other.name.toLowerCase())
+                );
+            distractors = distractors.concat(
+                this.sample(others, this.distractors - distractors.length)
+            );
+        }
+
+        return this.buildQuestion(
+            'model',
+            model,
+            QuizGenerator.maskName(model.description, model.name),
+            { label: model.name, value: model.id },
+            distractors.map((other) => ({ label: other.name, value: other.id }))
+        );
+    }
+
+    /**
+     * Ask which category a model is in
+     * @param {Object} model - The model whose category is the answer
+     * @returns {Object} Question
+     */
+    createCategoryQuestion(model) {
+        const others = this.parser
+            .getCategoryNames()
+            .filter((category) => category !== model.category);
+
+        return this.buildQuestion(
+            'category',
+            model,
+            model.name,
+            { label: model.category, value: model.category },
+            this.sample(others, this.distractors).map((category) => ({
+                label: category,
+                value: category,
+            }))
+        );
+    }
+
+    /**
+     * Shuffle the answer in among the distractors
+     */
+    buildQuestion(type, model, prompt, answer, distractors) {
+        const choices = this.sample(distractors.concat(answer), distractors.length + 1);
+        return {
+            type: type,
+            model: model,
+            prompt: prompt,
+            choices: choices,
+            answerIndex: choices.indexOf(answer),
+        };
+    }
+
+    /**
+     * Pick up to `count` items in random order (partial Fisher-Yates shuffle)
+     * @param {Array} items - Items to pick from; not modified
+     * @param {number} count - Number of items wanted
+     * @returns {Array} Picked items
+     */
+    sample(items, count) {
+        const pool = items.slice();
+        const picked = Math.min(count, pool.length);
+        for (let i = 0; i < picked; i++) {
+            const j = i + Math.floor(this.random() * (pool.length - i));
+            [pool[i], pool[j]] = [pool[j], pool[i]];
+        }
+        return pool.slice(0, picked);
+    }
+
+    /**
+     * Hide a model's name inside its own description so it does not give the answer away
+     * @param {string} description - Model description
+     * @param {string} name - Model name
+     * @returns {string} Description with the name replaced by a blank
+     */
+    static maskName(description, name) {
+        const pattern = new RegExp(TextHighlighter.escapeRegExp(name), 'gi');
+        return description.replace(pattern, '_____');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QuizGenerator;
+} else if (typeof window !== 'undefined') {
+    window.QuizGenerator = QuizGenerator;
+}
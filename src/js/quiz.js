@@ -0,0 +1,223 @@
+/**
+ * Quiz Mode
+ * Multiple-choice questions from QuizGenerator, with scores per category.
+ * After each answer the answer's star is selected in the constellation.
+ */
+
+class QuizMode {
+    /**
+     * @param {MentalModelsParser} parser - Source of models and categories
+     * @param {ConstellationVisualization} constellation - Where answers are shown
+     * @param {UserDataStore} userData - Where scores are kept
+     */
+    constructor(parser, constellation, userData) {
+        this.parser = parser;
+        this.constellation = constellation;
+        this.userData = userData;
+        this.generator = new QuizGenerator(parser);
+
+        this.openButton = document.getElementById('quiz-button');
+        this.panel = document.getElementById('quiz-panel');
+        this.closeButton = document.getElementById('close-quiz-button');
+        this.typeSelect = document.getElementById('quiz-type');
+        this.score = document.getElementById('quiz-score');
+        this.questionLabel = document.getElementById('quiz-question-label');
+        this.question = document.getElementById('quiz-question');
+        this.choices = document.getElementById('quiz-choices');
+        this.feedback = document.getElementById('quiz-feedback');
+        this.nextButton = document.getElementById('quiz-next-button');
+        this.categoryScores = document.getElementById('quiz-category-scores');
+        this.resetScoresButton = document.getElementById('quiz-reset-scores');
+
+        this.currentQuestion = null;
+        this.answered = false;
+        this.session = { correct: 0, total: 0 };
+
+        this.addEventListeners();
+    }
+
+    /**
+     * Add event listeners for the panel, choices and keyboard
+     */
+    addEventListeners() {
+        this.openButton.addEventListener('click', () => {
+            if (this.panel.hidden) {
+                this.open();
+            } else {
+                this.close();
+            }
+        });
+
+        this.closeButton.addEventListener('click', () => this.close());
+        this.nextButton.addEventListener('click', () => this.showNextQuestion());
+        this.typeSelect.addEventListener('change', () => this.showNextQuestion());
+
+        this.choices.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-index]');
+            if (button) this.answer(Number(button.dataset.index));
+        });
+
+        this.resetScoresButton.addEventListener('click', () => {
+            this.userData.resetQuizScores();
+            this.session = { correct: 0, total: 0 };
+            this.updateScores();
+        });
+
+        // Only one practice panel is open at a time
+        document.addEventListener('practicePanelOpened', (e) => {
+            if (e.detail.panel !== this.panel && !this.panel.hidden) this.close();
+        });
+
+        // 1-5 pick a choice; Enter moves on once answered
+        document.addEventListener('keydown', (e) => {
+            if (this.panel.hidden || !this.currentQuestion) return;
+            if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+
+            const index = Number(e.key) - 1;
+            if (!this.answered && index >= 0 && index < this.currentQuestion.choices.length) {
+                e.preventDefault();
+                this.answer(index);
+            } else if (this.answered && e.key === 'Enter') {
+                e.preventDefault();
+                this.showNextQuestion();
+            }
+        });
+    }
+
+    /**
+     * Open the quiz panel and ask the first question
+     */
+    open() {
+        this.panel.hidden = false;
+        this.openButton.classList.add('active');
+        document.dispatchEvent(
+            new CustomEvent('practicePanelOpened', { detail: { panel: this.panel } })
+        );
+        this.session = { correct: 0, total: 0 };
+        this.showNextQuestion();
+    }
+
+    /**
+     * Close the quiz panel; scores are already saved
+     */
+    close() {
+        this.panel.hidden = true;
+        this.openButton.classList.remove('active');
+        this.currentQuestion = null;
+    }
+
+    /**
+     * Ask a new question of the selected type
+     */
+    showNextQuestion() {
+        const type = this.typeSelect.value === 'mixed' ? undefined : this.typeSelect.value;
+        this.currentQuestion = this.generator.createQuestion(type);
+        this.answered = false;
+        this.feedback.textContent = '';
+        this.feedback.className = 'quiz-feedback';
+        this.nextButton.hidden = true;
+        this.choices.innerHTML = '';
+        this.updateScores();
+
+        const question = this.currentQuestion;
+        if (!question) {
+            this.questionLabel.textContent = 'Not enough models or categories for this quiz.';
+            this.question.textContent = '';
+            return;
+        }
+
+        if (question.type === 'model') {
+            this.questionLabel.textContent = 'Which model is described?';
+            this.question.classList.remove('study-prompt-name');
+        } else {
+            this.questionLabel.textContent = 'Which category is this model in?';
+            this.question.classList.add('study-prompt-name');
+        }
+        this.question.textContent = question.prompt;
+
+        question.choices.forEach((choice, index) => {
+            const button = document.createElement('button');
+            button.className = 'quiz-choice';
+            button.dataset.index = index;
+            button.textContent = `${index + 1}. ${choice.label}`;
+            this.choices.appendChild(button);
+        });
+    }
+
+    /**
+     * Check a choice, record the score and show the answer star
+     * @param {number} index - Index of the chosen choice
+     */
+    answer(index) {
+        const question = this.currentQuestion;
+        if (!question || this.answered) return;
+
+        this.answered = true;
+        const correct = index === question.answerIndex;
+        this.userData.recordQuizAnswer(question.model.category, correct);
+        this.session.total++;
+        if (correct) this.session.correct++;
+
+        Array.from(this.choices.children).forEach((button, buttonIndex) => {
+            button.disabled = true;
+            if (buttonIndex === question.answerIndex) {
+                button.classList.add('correct');
+            } else if (buttonIndex === index) {
+                button.classList.add('wrong');
+            }
+        });
+
+        const answer = question.choices[question.answerIndex].label;
+        this.feedback.textContent = correct ? 'Correct!' : `Not quite: it is ${answer}.`;
+        this.feedback.classList.add(correct ? 'correct' : 'wrong');
+        this.nextButton.hidden = false;
+        this.updateScores();
+
+        const star = this.constellation.stars.get(question.model.id);
+        if (star) {
+            this.constellation.selectStar(star);
+        }
+    }
+
+    /**
+     * Show the session score and the all-time score per category
+     */
+    updateScores() {
+        const { correct, total } = this.session;
+        this.score.textContent = total
+            ? `This session: ${correct} / ${total} (${Math.round((correct / total) * 100)}%)`
+            : 'Answer with the mouse or keys 1–5.';
+
+        this.categoryScores.innerHTML = '';
+        const scores = this.userData.getQuizScores();
+        this.parser.getCategoryNames().forEach((category) => {
+            const score = scores[category];
+            if (!score) return;
+
+            const item = document.createElement('li');
+            const name = document.createElement('span');
+            name.textContent = category;
+            const value = document.createElement('span');
+            value.className = 'quiz-category-score';
+            value.textContent = `${score.correct} / ${score.total}`;
+            item.append(name, value);
+            this.categoryScores.appendChild(item);
+        });
+    }
+
+    /**
+     * Start over after the dataset changed
+     */
+    refresh() {
+        if (!this.panel.hidden) {
+            this.showNextQuestion();
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QuizMode;
+} else if (typeof window !== 'undefined') {
+    window.QuizMode = QuizMode;
+}
@@ -0,0 +1,172 @@
+/**
+ * Related Models Graph
+ * Links models that are explicitly related in the data or whose
+ * names and descriptions are textually similar
+ */
+
+class RelatedGraph {
+    /**
+     * @param {MentalModelsParser} parser - Parser holding the models and their `related` names
+     * @param {SearchEngine} searchEngine - Engine whose tokenizer and stemmer are reused
+     * @param {Object} [options]
+     * @param {number} [options.maxSimilar] - Automatic links kept per model
+     * @param {number} [options.minSimilarity] - Cosine similarity below which no link is made
+     */
+    constructor(parser, searchEngine, options = {}) {
+        this.parser = parser;
+        this.searchEngine = searchEngine;
+        this.maxSimilar = options.maxSimilar || 2;
+        this.minSimilarity = options.minSimilarity || 0.25;
+        this.build();
+    }
+
+    /**
+     * Rebuild the graph from the parser's current models
+     */
+    build() {
+        this.edges = [];
+        this.adjacency = new Map(); // model ID -> Array of { id, weight, type }
+        this.edgeKeys = new Map(); // "idA|idB" -> edge
+
+        const models = this.parser.getAllModels();
+        models.forEach((model) => this.adjacency.set(model.id, []));
+
+        // Explicit links take precedence over similar ones between the same models
+        models.forEach((model) => {
+            model.related.forEach((name) => {
+                const target = this.parser.findModel(name);
+                if (target && target !== model) {
+                    this.addEdge(model.id, target.id, 1, 'explicit');
+                }
+            });
+        });
+
+        this.findSimilarPairs(models).forEach(({ source, target, weight }) => {
+            this.addEdge(source, target, weight, 'similar');
+        });
+    }
+
+    /**
+     * Add an undirected edge unless the two models are already linked
+     */
+    addEdge(source, target, weight, type) {
+        const key = source < target ? `${source}|${target}` : `${target}|${source}`;
+        if (this.edgeKeys.has(key)) return;
+
+        const edge = { source: source, target: target, weight: weight, type: type };
+        this.edgeKeys.set(key, edge);
+        this.edges.push(edge);
+        this.adjacency.get(source).push({ id: target, weight: weight, type: type });
+        this.adjacency.get(target).push({ id: source, weight: weight, type: type });
+    }
+
+    /**
+     * Find each model's most similar models by TF-IDF cosine similarity
+     * of their names and descriptions
+     * @param {Array<Object>} models - All models
+     * @returns {Array<Object>} `{ source, target, weight }` pairs
+     */
+    findSimilarPairs(models) {
+        const vectors = this.buildVectors(models);
+
+        // Inverted index so only models sharing a term are compared
+        const postings = new Map();
+        vectors.forEach((vector, index) => {
+            vector.forEach((weight, term) => {
+                if (!postings.has(term)) postings.set(term, []);
+                postings.get(term).push({ index: index, weight: weight });
+            });
+        });
+
+        const pairs = [];
+        vectors.forEach((vector, index) => {
+            const scores = new Map();
+            vector.forEach((weight, term) => {
+                postings.get(term).forEach((posting) => {
+                    if (posting.index === index) return;
+                    scores.set(
+                        posting.index,
+                        (scores.get(posting.index) || 0) + weight * posting.weight
+                    );
+                });
+            });
+
+            Array.from(scores)
+                .filter(([, score]) => score >= this.minSimilarity)
+                .sort((a, b) => b[1] - a[1])
+                .slice(0, this.maxSimilar)
+                .forEach(([other, score]) => {
+                    pairs.push({
+                        source: models[index].id,
+                        target: models[other].id,
+                        weight: score,
+                    });
+                });
+        });
+
+        return pairs;
+    }
+
+    /**
+     * Build unit-length TF-IDF vectors; name words count double
+     * @param {Array<Object>} models - All models
+     * @returns {Array<Map>} term -> weight, one per model
+     */
+    buildVectors(models) {
+        const termCounts = models.map((model) => {
+            const counts = new Map();
+            const add = (text, weight) => {
+                this.searchEngine.tokenize(text).forEach((word) => {
+                    const stem = this.searchEngine.stem(word);
+                    counts.set(stem, (counts.get(stem) || 0) + weight);
+                });
+            };
+            add(model.name, 2);
+            add(model.description, 1);
+            return counts;
+        });
+
+        const documentFrequency = new Map();
+        termCounts.forEach((counts) => {
+            counts.forEach((count, term) => {
+                documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+            });
+        });
+
+        return termCounts.map((counts) => {
+            const vector = new Map();
+            let norm = 0;
+            counts.forEach((count, term) => {
+                const df = documentFrequency.get(term);
+                // Terms unique to one model cannot link it to anything
+                if (df < 2) return;
+                const weight = count * Math.log(models.length / df);
+                vector.set(term, weight);
+                norm += weight * weight;
+            });
+
+            norm = Math.sqrt(norm) || 1;
+            vector.forEach((weight, term) => vector.set(term, weight / norm));
+            return vector;
+        });
+    }
+
+    /**
+     * Get the models linked to a model, strongest first
+     * @param {string} modelId - Model ID
+     * @param {string} [type] - Only return 'explicit' or 'similar' links
+     * @returns {Array<Object>} `{ id, weight, type }`
+     */
+    getNeighbours(modelId, type) {
+        return (this.adjacency.get(modelId) || [])
+            .filter((neighbour) => !type || neighbour.type === type)
+            .sort((a, b) => b.weight - a.weight);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RelatedGraph;
+} else if (typeof window !== 'undefined') {
+    window.RelatedGraph = RelatedGraph;
+}
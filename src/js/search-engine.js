@@ -0,0 +1,376 @@
+/**
+ * Search Engine
+ * Ranked full-text search over mental models with prefix matching,
+ * light stemming, typo tolerance and the query syntax of QueryParser
+ */
+
+class SearchEngine {
+    /**
+     * @param {Array<Object>} models - Models to index
+     */
+    constructor(models = []) {
+        // Matches in the name count more than matches in tags or the description
+        this.fieldWeights = { name: 3, tags: 2, description: 1 };
+        this.queryParser = new QueryParser();
+        this.setModels(models);
+    }
+
+    /**
+     * Replace the indexed models
+     * @param {Array<Object>} models - Models to index
+     */
+    setModels(models) {
+        this.models = models;
+        this.vocabulary = new Map(); // stem -> Map(model -> { field: weight })
+        this.fieldText = new Map(); // model -> { field: normalised text } for phrases
+
+        models.forEach((model) => {
+            this.fieldText.set(model, {
+                name: this.tokenize(model.name).join(' '),
+                tags: (model.tags || []).map((tag) => this.tokenize(tag).join(' ')).join(' | '),
+                description: this.tokenize(model.description).join(' '),
+                category: this.tokenize(model.category).join(' '),
+                // Without the namespace of a merged collection, e.g. "Core / Systems"
+                categoryName: this.tokenize(model.category.split(' / ').pop()).join(' '),
+            });
+            this.indexField(model, 'name', model.name);
+            this.indexField(model, 'tags', (model.tags || []).join(' '));
+            this.indexField(model, 'description', model.description);
+        });
+    }
+
+    /**
+     * Add the words of one field to the vocabulary
+     */
+    indexField(model, field, text) {
+        this.tokenize(text).forEach((word) => {
+            const stem = this.stem(word);
+            if (!this.vocabulary.has(stem)) {
+                this.vocabulary.set(stem, new Map());
+            }
+            const postings = this.vocabulary.get(stem);
+            if (!postings.has(model)) {
+                postings.set(model, {});
+            }
+            postings.get(model)[field] = this.fieldWeights[field];
+        });
+    }
+
+    /**
+     * Search models
+     * @param {string} query - Query in QueryParser syntax, e.g. `name:law -bias`
+     * @param {Object} [options]
+     * @param {number} [options.limit] - Maximum number of results
+     * @returns {Array<Object>} `{ model, score, terms }` sorted by descending score;
+     *     `terms` are the indexed stems that matched, for highlighting
+     * @throws {QuerySyntaxError} If the query is malformed
+     */
+    search(query, options = {}) {
+        if (!query || !query.trim()) return [];
+
+        const parsed = this.queryParser.parse(query);
+        let results = null;
+
+        // Terms made only of stop words or punctuation cannot match anything
+        const hasWords = (term) => this.tokenize(term.value).length > 0;
+        const clauses = parsed.clauses
+            .map((alternatives) => alternatives.filter(hasWords))
+            .filter((alternatives) => alternatives.length > 0);
+        const negations = parsed.negations.filter(hasWords);
+
+        clauses.forEach((alternatives) => {
+            const clauseResults = new Map();
+            alternatives.forEach((term) => {
+                this.matchTerm(term, true).forEach((match, model) => {
+                    const current = clauseResults.get(model);
+                    if (!current || match.score > current.score) {
+                        clauseResults.set(model, match);
+                    }
+                });
+            });
+            results = results ? this.intersect(results, clauseResults) : clauseResults;
+        });
+
+        // A query of only exclusions starts from every model
+        if (!results) {
+            if (negations.length === 0) return [];
+            results = new Map(this.models.map((model) => [model, { score: 0, terms: [] }]));
+        }
+
+        negations.forEach((term) => {
+            this.matchTerm(term, false).forEach((match, model) => results.delete(model));
+        });
+
+        const freeText = clauses
+            .filter((alternatives) => alternatives.length === 1 && !alternatives[0].field)
+            .map((alternatives) => alternatives[0].value)
+            .join(' ');
+
+        const sorted = Array.from(results, ([model, match]) => ({
+            model: model,
+            score: match.score + this.phraseBonus(model, freeText),
+            terms: match.terms,
+        })).sort((a, b) => b.score - a.score || a.model.name.localeCompare(b.model.name));
+
+        return options.limit ? sorted.slice(0, options.limit) : sorted;
+    }
+
+    /**
+     * Keep models present in both result maps, summing their scores
+     */
+    intersect(results, clauseResults) {
+        const next = new Map();
+        results.forEach((match, model) => {
+            const clauseMatch = clauseResults.get(model);
+            if (clauseMatch) {
+                next.set(model, {
+                    score: match.score + clauseMatch.score,
+                    terms: match.terms.concat(clauseMatch.terms),
+                });
+            }
+        });
+        return next;
+    }
+
+    /**
+     * Find the models matching a single query term
+     * @param {Object} term - Term from QueryParser
+     * @param {boolean} fuzzy - Whether typo-tolerant matches count
+     * @returns {Map} model -> `{ score, terms }`
+     */
+    matchTerm(term, fuzzy) {
+        const fields = term.field ? [term.field] : ['name', 'tags', 'description'];
+        const words = this.tokenize(term.value);
+        const matches = new Map();
+
+        // Category scoping filters without adding to the score
+        if (term.field === 'category') {
+            const value = words.join(' ');
+            this.models.forEach((model) => {
+                const { category, categoryName } = this.fieldText.get(model);
+                const found = term.phrase
+                    ? category === value || categoryName === value
+                    : category.includes(value);
+                if (found) {
+                    matches.set(model, { score: 0, terms: [] });
+                }
+            });
+            return matches;
+        }
+
+        if (term.phrase && words.length > 1) {
+            const phrase = words.join(' ');
+            this.models.forEach((model) => {
+                const text = this.fieldText.get(model);
+                const field = fields.find((name) => text[name].includes(phrase));
+                if (field) {
+                    matches.set(model, {
+                        score: this.fieldWeights[field] * words.length * 1.5,
+                        terms: words.map((word) => this.stem(word)),
+                    });
+                }
+            });
+            return matches;
+        }
+
+        return this.scoreTerms(
+            words.map((word) => this.stem(word)),
+            fields,
+            fuzzy
+        );
+    }
+
+    /**
+     * Score models against stemmed words; every word must match a word of a model
+     * @param {Array<string>} queryTerms - Stemmed words
+     * @param {Array<string>} fields - Fields the words may match in
+     * @param {boolean} fuzzy - Whether typo-tolerant matches count
+     * @returns {Map} model -> `{ score, terms }`
+     */
+    scoreTerms(queryTerms, fields, fuzzy) {
+        let results = null;
+
+        queryTerms.forEach((term) => {
+            const termScores = new Map();
+
+            this.expandTerm(term, fuzzy).forEach(({ stem, quality }) => {
+                this.vocabulary.get(stem).forEach((weights, model) => {
+                    const fieldWeights = fields
+                        .filter((field) => weights[field])
+                        .map((field) => weights[field]);
+                    if (fieldWeights.length === 0) return;
+
+                    const score = Math.max(...fieldWeights) * quality;
+                    const current = termScores.get(model);
+                    if (!current || score > current.score) {
+                        termScores.set(model, { score: score, terms: [stem] });
+                    } else if (score === current.score) {
+                        current.terms.push(stem);
+                    }
+                });
+            });
+
+            results = results ? this.intersect(results, termScores) : termScores;
+        });
+
+        return results || new Map();
+    }
+
+    /**
+     * Find vocabulary stems matching a query term exactly, by prefix or with typos
+     * @param {string} term - Stemmed query term
+     * @param {boolean} [fuzzy] - Whether to include matches with typos
+     * @returns {Array<Object>} `{ stem, quality }` where quality is 0-1
+     */
+    expandTerm(term, fuzzy = true) {
+        const matches = [];
+        let maxDistance = 0;
+        if (fuzzy) {
+            maxDistance = term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0;
+        }
+
+        this.vocabulary.forEach((postings, stem) => {
+            if (stem === term) {
+                matches.push({ stem: stem, quality: 1 });
+            } else if (term.length >= 2 && stem.startsWith(term)) {
+                // Shorter prefixes of long words are weaker evidence
+                matches.push({ stem: stem, quality: 0.5 + 0.3 * (term.length / stem.length) });
+            } else if (maxDistance > 0 && Math.abs(stem.length - term.length) <= maxDistance) {
+                const distance = this.editDistance(term, stem, maxDistance);
+                if (distance <= maxDistance) {
+                    matches.push({ stem: stem, quality: 0.6 - 0.15 * (distance - 1) });
+                }
+            }
+        });
+
+        return matches;
+    }
+
+    /**
+     * Bonus for a name that equals, starts with or contains the free-text part of the query
+     * @param {Object} model - Matched model
+     * @param {string} freeText - Unfielded words of the query
+     * @returns {number} Bonus score
+     */
+    phraseBonus(model, freeText) {
+        const phrase = this.tokenize(freeText).join(' ');
+        if (!phrase) return 0;
+
+        const text = this.fieldText.get(model);
+        if (text.name === phrase) return 10;
+        if (text.name.startsWith(phrase)) return 5;
+        if (text.name.includes(phrase)) return 3;
+        if (text.description.includes(phrase)) return 1;
+        return 0;
+    }
+
+    /**
+     * Split text into lowercase words, dropping stop words
+     * @param {string} text - Text to split
+     * @returns {Array<string>} Words
+     */
+    tokenize(text) {
+        return (text || '')
+            .toLowerCase()
+            .replace(/['’]/g, '')
+            .split(/[^a-z0-9]+/)
+            .filter((word) => word && !SearchEngine.STOP_WORDS.has(word));
+    }
+
+    /**
+     * Reduce a word to a crude stem so that "costs", "costing" and "cost" match
+     * @param {string} word - Lowercase word
+     * @returns {string} Stem
+     */
+    stem(word) {
+        if (word.length <= 3) return word;
+
+        const rules = [
+            [/ies$/, 'y'],
+            [/ational$/, 'ate'],
+            [/(ness|ment|ful)$/, ''],
+            [/ing$/, ''],
+            [/edly$/, ''],
+            [/ed$/, ''],
+            [/ly$/, ''],
+            [/(ss)$/, '$1'],
+            [/([^su])s$/, '$1'],
+        ];
+
+        for (const [pattern, replacement] of rules) {
+            if (pattern.test(word)) {
+                const stem = word.replace(pattern, replacement);
+                return stem.length >= 3 ? stem : word;
+            }
+        }
+        return word;
+    }
+
+    /**
+     * Damerau-Levenshtein (optimal string alignment) distance, giving up
+     * once it exceeds maxDistance
+     * @param {string} a - First word
+     * @param {string} b - Second word
+     * @param {number} maxDistance - Distance above which the exact value does not matter
+     * @returns {number} Edit distance, or maxDistance + 1 if it is larger
+     */
+    editDistance(a, b, maxDistance) {
+        let previousRow = null;
+        let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+        for (let i = 1; i <= a.length; i++) {
+            const nextRow = [i];
+            let rowMin = i;
+
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    value = Math.min(value, previousRow[j - 2] + 1);
+                }
+                nextRow.push(value);
+                rowMin = Math.min(rowMin, value);
+            }
+
+            if (rowMin > maxDistance) return maxDistance + 1;
+            previousRow = row;
+            row = nextRow;
+        }
+
+        return row[b.length];
+    }
+}
+
+/**
+ * Words too common to be useful search terms
+ */
+SearchEngine.STOP_WORDS = new Set([
+    'a',
+    'an',
+    'and',
+    'are',
+    'as',
+    'at',
+    'be',
+    'by',
+    'for',
+    'from',
+    'in',
+    'is',
+    'it',
+    'of',
+    'on',
+    'or',
+    'that',
+    'the',
+    'to',
+    'was',
+    'with',
+]);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SearchEngine;
+} else if (typeof window !== 'undefined') {
+    window.SearchEngine = SearchEngine;
+}
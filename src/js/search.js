@@ -7,15 +7,28 @@ class SearchManager {
     constructor(parser, constellation) {
         this.parser = parser;
         this.constellation = constellation;
+        this.searchEngine = new SearchEngine(parser.getAllModels());
+        this.highlighter = new TextHighlighter(this.searchEngine);
+        this.relatedGraph = new RelatedGraph(parser, this.searchEngine);
+        this.userData = new UserDataStore();
         this.searchInput = document.getElementById('search-input');
         this.searchButton = document.getElementById('search-button');
         this.categoryFiltersContainer = document.getElementById('category-filters');
         this.showAllButton = document.getElementById('show-all-button');
+        this.showRelationsToggle = document.getElementById('show-relations-toggle');
+        this.showLabelsToggle = document.getElementById('show-labels-toggle');
+        this.favoritesOnlyToggle = document.getElementById('favorites-only-toggle');
         this.detailsPanel = document.getElementById('details-panel');
         this.detailsTitle = document.getElementById('details-title');
         this.detailsDescription = document.getElementById('details-description');
         this.detailsCategory = document.getElementById('details-category');
         this.detailsCategoryContainer = document.getElementById('details-category-container');
+        this.detailsMetadata = document.getElementById('details-metadata');
+        this.favoriteButton = document.getElementById('favorite-button');
+        this.notesContainer = document.getElementById('details-notes-container');
+        this.notesInput = document.getElementById('details-notes-input');
+        this.favoritesSection = document.getElementById('favorites-section');
+        this.favoritesList = document.getElementById('favorites-list');
         this.historyList = document.getElementById('history-list');
         this.clearHistoryButton = document.getElementById('clear-history-button');
         this.closeHistoryButton = document.getElementById('close-history-button');
@@ -23,8 +36,9 @@ class SearchManager {
         this.activeFilters = new Set();
         this.searchTimeout = null;
         this.currentSearchResults = [];
-        this.viewHistory = [];
-        this.maxHistory = 10;
+        this.detailsModel = null; // Model shown in the details panel
+        this.detailsReturnFocus = null; // Where focus goes when the details panel closes
+        this.maxHistory = 50; // History entries listed; all are kept in userData
 
         this.init();
     }
@@ -35,7 +49,10 @@ class SearchManager {
     init() {
         this.createCategoryFilters();
         this.addEventListeners();
+        this.constellation.setRelations(this.relatedGraph.edges);
         this.showAllCategories();
+        this.updateHistoryUI();
+        this.updateFavoritesUI();
     }
 
     /**
@@ -56,15 +73,22 @@ class SearchManager {
 
             const label = document.createElement('label');
             label.htmlFor = checkbox.id;
-            label.textContent = category;
+
+            const config = this.constellation.categoryConfigs[category];
+            if (config && config.icon) {
+                const icon = document.createElement('i');
+                icon.className = `fas ${config.icon} category-icon`;
+                label.appendChild(icon);
+            }
+            label.appendChild(document.createTextNode(category));
+            if (config && config.description) {
+                label.title = config.description;
+            }
 
             const colorIndicator = document.createElement('span');
             colorIndicator.className = 'color-indicator';
-            const config = this.constellation.categoryConfigs[category];
             if (config) {
-                colorIndicator.style.backgroundColor = `#${config.color
-                    .toString(16)
-                    .padStart(6, '0')}`;
+                colorIndicator.style.backgroundColor = CategoryRegistry.toCss(config.color);
             }
 
             label.appendChild(colorIndicator);
@@ -75,6 +99,25 @@ class SearchManager {
         });
     }
 
+    /**
+     * Rebuild filters and clear search state after the dataset changed
+     */
+    refresh() {
+        this.categoryFiltersContainer.innerHTML = '';
+        this.activeFilters.clear();
+        this.searchEngine.setModels(this.parser.getAllModels());
+        this.relatedGraph.build();
+        this.constellation.setRelations(this.relatedGraph.edges);
+        this.createCategoryFilters();
+        this.searchInput.value = '';
+        this.clearSearchResults();
+        this.hideDetailsPanel();
+        this.showAllCategories();
+        this.updateHistoryUI();
+        this.updateFavoritesUI();
+        this.applyFavoritesFilter();
+    }
+
     /**
      * Add event listeners for search and filters
      */
@@ -96,10 +139,58 @@ class SearchManager {
             }
         });
 
+        // Clicking a category name flies to its constellation; the checkbox toggles it
+        this.categoryFiltersContainer.addEventListener('click', (e) => {
+            const label = e.target.closest('label');
+            if (!label) return;
+
+            e.preventDefault();
+            const checkbox = document.getElementById(label.htmlFor);
+            if (!checkbox.checked) {
+                checkbox.checked = true;
+                this.handleCategoryFilter(checkbox);
+            }
+            this.constellation.flyToCategory(checkbox.value);
+        });
+
         this.showAllButton.addEventListener('click', () => {
             this.toggleAllCategories();
         });
 
+        this.showRelationsToggle.addEventListener('change', () => {
+            this.constellation.setRelationsVisible(this.showRelationsToggle.checked);
+        });
+
+        this.showLabelsToggle.addEventListener('change', () => {
+            this.constellation.setLabelsVisible(this.showLabelsToggle.checked);
+        });
+
+        this.favoritesOnlyToggle.addEventListener('change', () => {
+            this.applyFavoritesFilter();
+        });
+
+        this.favoriteButton.addEventListener('click', () => {
+            if (this.detailsModel) {
+                this.userData.toggleFavorite(this.detailsModel.id);
+                this.updateFavoriteButton();
+                this.updateFavoritesUI();
+                this.updateHistoryUI();
+                this.applyFavoritesFilter();
+            }
+        });
+
+        this.notesInput.addEventListener('input', () => {
+            if (this.detailsModel) {
+                this.userData.setNote(this.detailsModel.id, this.notesInput.value);
+            }
+        });
+
+        // Refresh the note markers once editing is finished
+        this.notesInput.addEventListener('change', () => {
+            this.updateHistoryUI();
+            this.updateFavoritesUI();
+        });
+
         document.addEventListener('starSelected', (e) => {
             this.showModelDetails(e.detail);
         });
@@ -126,13 +217,24 @@ class SearchManager {
      * Handle search input
      */
     handleSearch(query) {
+        this.notifyStateChange('query');
         if (!query.trim()) {
             this.clearSearchResults();
             return;
         }
 
-        const results = this.parser.searchModels(query);
-        this.currentSearchResults = results.map((model) => model.id);
+        let results;
+        try {
+            results = this.searchEngine.search(query);
+        } catch (error) {
+            if (!(error instanceof QuerySyntaxError)) throw error;
+            this.currentSearchResults = [];
+            this.constellation.resetHighlights();
+            this.showQueryError(query, error);
+            return;
+        }
+
+        this.currentSearchResults = results.map((result) => result.model.id);
         this.constellation.highlightSearchResults(this.currentSearchResults);
         this.updateSearchResultsUI(results, query);
     }
@@ -149,6 +251,7 @@ class SearchManager {
         }
         this.constellation.filterByCategory(Array.from(this.activeFilters));
         this.updateShowAllButtonState();
+        this.notifyStateChange('filters');
     }
 
     /**
@@ -169,6 +272,27 @@ class SearchManager {
 
         this.constellation.filterByCategory(Array.from(this.activeFilters));
         this.updateShowAllButtonState();
+        this.notifyStateChange('filters');
+    }
+
+    /**
+     * Show only the given categories
+     * @param {Array<string>} categories - Category names to show
+     */
+    setActiveCategories(categories) {
+        const checkboxes = this.categoryFiltersContainer.querySelectorAll('input[type="checkbox"]');
+        checkboxes.forEach((checkbox) => {
+            checkbox.checked = categories.includes(checkbox.value);
+            if (checkbox.checked) {
+                this.activeFilters.add(checkbox.value);
+            } else {
+                this.activeFilters.delete(checkbox.value);
+            }
+        });
+
+        this.constellation.filterByCategory(Array.from(this.activeFilters));
+        this.updateShowAllButtonState();
+        this.notifyStateChange('filters');
     }
 
     /**
@@ -182,6 +306,8 @@ class SearchManager {
 
     /**
      * Update search results UI
+     * @param {Array<Object>} results - Ranked `{ model, score, terms }` results
+     * @param {string} query - The query as typed
      */
     updateSearchResultsUI(results, query) {
         this.clearSearchResultsUI();
@@ -199,16 +325,23 @@ class SearchManager {
         } for "${query}"`;
         resultsContainer.appendChild(header);
 
-        results.forEach((model) => {
+        const topScore = results[0].score;
+        // Queries made only of exclusions score every match 0; all are equally relevant
+        const relevance = (score) => (topScore > 0 ? score / topScore : 1);
+        const phrases = this.searchEngine.queryParser.getPhrases(query);
+        results.forEach(({ model, score, terms }) => {
             const resultItem = document.createElement('div');
             resultItem.className = 'search-result-item';
+            resultItem.dataset.score = score.toFixed(2);
+            const name = this.highlighter.highlight(model.name, terms, phrases);
+            const description = this.highlighter.highlight(model.description, terms, phrases);
             resultItem.innerHTML = `
-                <div class="result-name">${this.highlightSearchTerm(model.name, query)}</div>
-                <div class="result-description">${this.highlightSearchTerm(
-                    model.description,
-                    query
-                )}</div>
-                <div class="result-category">${model.category}</div>
+                <div class="result-relevance" title="Relevance ${score.toFixed(1)}">
+                    <span style="width: ${Math.round(relevance(score) * 100)}%"></span>
+                </div>
+                <div class="result-name">${name}</div>
+                <div class="result-description">${description}</div>
+                <div class="result-category">${TextHighlighter.escapeHtml(model.category)}</div>
             `;
             resultItem.addEventListener('click', () => {
                 this.focusOnModel(model.id);
@@ -242,12 +375,25 @@ class SearchManager {
     }
 
     /**
-     * Highlight search term in text
+     * Show why a query could not be parsed, pointing at the offending position
      */
-    highlightSearchTerm(text, term) {
-        if (!term) return text;
-        const regex = new RegExp(`(${term})`, 'gi');
-        return text.replace(regex, '<mark>$1</mark>');
+    showQueryError(query, error) {
+        this.clearSearchResultsUI();
+
+        const message = document.createElement('div');
+        message.className = 'no-results query-error';
+
+        const text = document.createElement('div');
+        text.textContent = error.message;
+        message.appendChild(text);
+
+        const location = document.createElement('code');
+        location.className = 'query-error-location';
+        location.textContent = `${query}\n${' '.repeat(error.position)}^`;
+        message.appendChild(location);
+
+        const searchContainer = this.searchInput.closest('.search-container');
+        searchContainer.parentNode.insertBefore(message, searchContainer.nextSibling);
     }
 
     /**
@@ -256,8 +402,8 @@ class SearchManager {
     focusOnModel(modelId) {
         const star = this.constellation.stars.get(modelId);
         if (star) {
+            // The starSelected listener shows the details
             this.constellation.selectStar(star);
-            this.showModelDetails(star.userData);
             this.searchInput.value = '';
             this.clearSearchResults();
         }
@@ -274,40 +420,215 @@ class SearchManager {
 
         const config = this.constellation.categoryConfigs[model.category];
         if (config) {
-            this.detailsCategory.style.color = `#${config.color.toString(16).padStart(6, '0')}`;
+            this.detailsCategory.style.color = CategoryRegistry.toCss(config.color);
+            this.detailsCategory.title = config.description;
         }
 
+        this.renderModelMetadata(model);
+
+        this.detailsModel = model;
+        this.favoriteButton.hidden = false;
+        this.updateFavoriteButton();
+        this.notesContainer.hidden = false;
+        this.notesInput.value = this.userData.getNote(model.id);
+
         this.detailsPanel.classList.add('show');
         this.addToHistory(model);
+        this.notifyStateChange('model');
+    }
+
+    /**
+     * Show whether the model in the details panel is a favourite
+     */
+    updateFavoriteButton() {
+        const isFavorite = this.userData.isFavorite(this.detailsModel.id);
+        this.favoriteButton.classList.toggle('active', isFavorite);
+        this.favoriteButton.title = isFavorite ? 'Remove from favourites' : 'Add to favourites';
+        this.favoriteButton.setAttribute('aria-pressed', String(isFavorite));
+        this.favoriteButton.firstElementChild.className = `${isFavorite ? 'fas' : 'far'} fa-star`;
+    }
+
+    /**
+     * Render tags, sources, reading links, examples and related models
+     */
+    renderModelMetadata(model) {
+        this.detailsMetadata.innerHTML = '';
+
+        if (model.tags && model.tags.length) {
+            const tagList = document.createElement('div');
+            tagList.className = 'details-tags';
+            model.tags.forEach((tag) => {
+                const chip = document.createElement('span');
+                chip.className = 'details-tag';
+                chip.textContent = tag;
+                tagList.appendChild(chip);
+            });
+            this.detailsMetadata.appendChild(tagList);
+        }
+
+        this.appendMetadataSection('Sources', model.sources, (source) => {
+            const item = document.createElement('li');
+            item.textContent = source;
+            return item;
+        });
+
+        this.appendMetadataSection('Examples', model.examples, (example) => {
+            const item = document.createElement('li');
+            item.textContent = example;
+            return item;
+        });
+
+        this.appendMetadataSection('Further reading', model.links, (link) => {
+            const item = document.createElement('li');
+            if (link.url) {
+                const anchor = document.createElement('a');
+                anchor.href = link.url;
+                anchor.target = '_blank';
+                anchor.rel = 'noopener noreferrer';
+                anchor.textContent = link.title;
+                item.appendChild(anchor);
+            } else {
+                item.textContent = link.title;
+            }
+            return item;
+        });
+
+        // Names in `related:` that match no model are still listed, as plain text
+        const unresolved = model.related.filter((name) => !this.parser.findModel(name));
+        const related = this.relatedGraph.getNeighbours(model.id, 'explicit').concat(unresolved);
+        this.appendMetadataSection('Related models', related, (neighbour) => {
+            const item = document.createElement('li');
+            if (typeof neighbour === 'string') {
+                item.textContent = neighbour;
+            } else {
+                item.appendChild(this.createRelatedLink(neighbour.id));
+            }
+            return item;
+        });
+
+        const similar = this.relatedGraph.getNeighbours(model.id, 'similar').slice(0, 5);
+        this.appendMetadataSection('Similar models', similar, (neighbour) => {
+            const item = document.createElement('li');
+            item.appendChild(this.createRelatedLink(neighbour.id));
+            return item;
+        });
+    }
+
+    /**
+     * Create a button that focuses another model
+     */
+    createRelatedLink(modelId) {
+        const relatedModel = this.parser.findModel(modelId);
+        const button = document.createElement('button');
+        button.className = 'details-related-link';
+        button.textContent = relatedModel.name;
+        button.addEventListener('click', () => {
+            this.focusOnModel(relatedModel.id);
+        });
+        return button;
+    }
+
+    /**
+     * Append a titled list to the metadata section if it has any items
+     */
+    appendMetadataSection(title, items, createItem) {
+        if (!items || items.length === 0) return;
+
+        const section = document.createElement('div');
+        section.className = 'details-section';
+
+        const heading = document.createElement('h4');
+        heading.className = 'details-section-title';
+        heading.textContent = title;
+        section.appendChild(heading);
+
+        const list = document.createElement('ul');
+        list.className = 'details-section-list';
+        items.forEach((item) => list.appendChild(createItem(item)));
+        section.appendChild(list);
+
+        this.detailsMetadata.appendChild(section);
     }
 
     /**
      * Hide the details panel
      */
     hideDetailsPanel() {
+        // Keep keyboard focus on the page rather than losing it with the panel
+        if (this.detailsPanel.contains(document.activeElement)) {
+            const returnFocus = this.detailsReturnFocus;
+            const target = returnFocus && document.contains(returnFocus) ? returnFocus : null;
+            (target || this.searchInput).focus();
+        }
+        this.detailsReturnFocus = null;
+
         this.detailsPanel.classList.remove('show');
+        this.detailsModel = null;
+        this.notifyStateChange('model');
     }
 
     /**
-     * Add a model to the history, moving it to the top if it already exists.
+     * Move keyboard focus to the details panel, remembering where it came from
+     * so it can go back there when the panel closes
      */
-    addToHistory(model) {
-        // Remove the model from the history if it already exists
-        const existingIndex = this.viewHistory.findIndex((item) => item.id === model.id);
-        if (existingIndex > -1) {
-            // If the model already exists, do not reorder, just return.
-            return;
+    focusDetailsPanel() {
+        if (!this.detailsPanel.contains(document.activeElement)) {
+            this.detailsReturnFocus = document.activeElement;
         }
+        this.detailsTitle.focus();
+    }
 
-        // Add the new model to the beginning of the history
-        this.viewHistory.unshift(model);
+    /**
+     * Let listeners such as UrlState know that the view changed
+     * @param {string} kind - 'model', 'filters' or 'query'
+     */
+    notifyStateChange(kind) {
+        document.dispatchEvent(new CustomEvent('viewStateChanged', { detail: { kind: kind } }));
+    }
 
-        // Limit the history to the max number of items
-        if (this.viewHistory.length > this.maxHistory) {
-            this.viewHistory.pop();
-        }
+    /**
+     * Find which model's item in a list has keyboard focus, so it can be
+     * focused again after the list is rebuilt
+     * @param {HTMLElement} list - List of items from createHistoryItem
+     * @returns {string|null} Model ID
+     */
+    static getFocusedModelId(list) {
+        const item = list.contains(document.activeElement) ? document.activeElement : null;
+        return item ? item.dataset.modelId : null;
+    }
 
-        // Update the UI
+    /**
+     * Focus a model's item in a list, if it has one
+     * @param {HTMLElement} list - List of items from createHistoryItem
+     * @param {string|null} modelId - Model ID
+     */
+    static focusModelItem(list, modelId) {
+        if (!modelId) return;
+        const item = Array.from(list.children).find((child) => child.dataset.modelId === modelId);
+        if (item) item.focus();
+    }
+
+    /**
+     * Describe how long ago a timestamp was, e.g. "5 min ago"
+     * @param {number} timestamp - Time in ms since the epoch
+     * @returns {string} Short relative time
+     */
+    static formatTimeAgo(timestamp) {
+        const minutes = Math.floor((Date.now() - timestamp) / 60000);
+        if (minutes < 1) return 'just now';
+        if (minutes < 60) return `${minutes} min ago`;
+        const hours = Math.floor(minutes / 60);
+        if (hours < 24) return `${hours} h ago`;
+        const days = Math.floor(hours / 24);
+        if (days < 7) return `${days} d ago`;
+        return new Date(timestamp).toLocaleDateString();
+    }
+
+    /**
+     * Add a model to the history, moving it to the top if it already exists
+     */
+    addToHistory(model) {
+        this.userData.recordView(model);
         this.updateHistoryUI();
     }
 
@@ -315,7 +636,7 @@ class SearchManager {
      * Clear the view history
      */
     clearHistory() {
-        this.viewHistory = [];
+        this.userData.clearHistory();
         this.updateHistoryUI();
     }
 
@@ -323,16 +644,89 @@ class SearchManager {
      * Update the history UI
      */
     updateHistoryUI() {
+        const focusedId = SearchManager.getFocusedModelId(this.historyList);
         this.historyList.innerHTML = '';
-        this.viewHistory.forEach((model) => {
-            const historyItem = document.createElement('li');
-            historyItem.className = 'history-item';
-            historyItem.textContent = model.name;
-            historyItem.addEventListener('click', () => {
-                this.focusOnModel(model.id);
+        this.userData
+            .getHistory()
+            .filter((entry) => this.parser.findModel(entry.id))
+            .slice(0, this.maxHistory)
+            .forEach((entry) => {
+                const historyItem = this.createHistoryItem(entry.id);
+                const time = document.createElement('span');
+                time.className = 'history-time';
+                time.textContent = SearchManager.formatTimeAgo(entry.viewedAt);
+                time.title = new Date(entry.viewedAt).toLocaleString();
+                historyItem.appendChild(time);
+                this.historyList.appendChild(historyItem);
             });
-            this.historyList.appendChild(historyItem);
+        SearchManager.focusModelItem(this.historyList, focusedId);
+    }
+
+    /**
+     * Update the favourites list; it is hidden while there are none
+     */
+    updateFavoritesUI() {
+        const focusedId = SearchManager.getFocusedModelId(this.favoritesList);
+        this.favoritesList.innerHTML = '';
+        const favorites = this.userData
+            .getFavorites()
+            .filter((modelId) => this.parser.findModel(modelId));
+
+        favorites.forEach((modelId) => {
+            this.favoritesList.appendChild(this.createHistoryItem(modelId));
+        });
+        this.favoritesSection.hidden = favorites.length === 0;
+        SearchManager.focusModelItem(this.favoritesList, focusedId);
+    }
+
+    /**
+     * Create a list item that focuses a model, marked if it is a favourite or has a note
+     */
+    createHistoryItem(modelId) {
+        const model = this.parser.findModel(modelId);
+        const item = document.createElement('li');
+        item.className = 'history-item';
+        item.dataset.modelId = model.id;
+        item.tabIndex = 0;
+        item.setAttribute('role', 'button');
+
+        const name = document.createElement('span');
+        name.className = 'history-name';
+        name.textContent = model.name;
+        item.appendChild(name);
+
+        if (this.userData.isFavorite(model.id)) {
+            const star = document.createElement('i');
+            star.className = 'fas fa-star history-marker';
+            star.title = 'Favourite';
+            item.appendChild(star);
+        }
+        if (this.userData.getNote(model.id)) {
+            const note = document.createElement('i');
+            note.className = 'fas fa-sticky-note history-marker';
+            note.title = 'Has notes';
+            item.appendChild(note);
+        }
+
+        item.addEventListener('click', () => {
+            this.focusOnModel(model.id);
         });
+        item.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                this.focusOnModel(model.id);
+            }
+        });
+        return item;
+    }
+
+    /**
+     * Show only favourite stars while the "Favourites only" toggle is on
+     */
+    applyFavoritesFilter() {
+        this.constellation.setStarFilter(
+            this.favoritesOnlyToggle.checked ? new Set(this.userData.getFavorites()) : null
+        );
     }
 
     /**
@@ -361,6 +755,7 @@ class SearchManager {
         });
         this.constellation.filterByCategory(Array.from(this.activeFilters));
         this.updateShowAllButtonState();
+        this.notifyStateChange('filters');
     }
 }
 
@@ -0,0 +1,192 @@
+/**
+ * Spaced Repetition
+ * SM-2 review scheduling for studying models, with progress kept in localStorage
+ */
+
+class SpacedRepetition {
+    /**
+     * @param {Storage} [storage] - Where to persist; defaults to localStorage
+     * @param {string} [key] - Storage key
+     */
+    constructor(storage, key = 'constellation-study') {
+        this.storage = storage || UserDataStore.getLocalStorage();
+        this.key = key;
+        this.cards = this.load(); // model ID -> card
+    }
+
+    /**
+     * Read stored cards, starting empty if there are none or they are unreadable
+     * @returns {Object} Cards keyed by model ID
+     */
+    load() {
+        if (!this.storage) return {};
+
+        try {
+            const stored = JSON.parse(this.storage.getItem(this.key));
+            return stored && typeof stored.cards === 'object' ? stored.cards : {};
+        } catch (error) {
+            console.warn('Ignoring unreadable study progress:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Write the cards back to storage
+     */
+    save() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(this.key, JSON.stringify({ version: 1, cards: this.cards }));
+        } catch (error) {
+            console.warn('Could not save study progress:', error);
+        }
+    }
+
+    /**
+     * Get the review state of a model
+     * @param {string} modelId - Model ID
+     * @returns {Object|null} `{ repetitions, interval, easeFactor, due, reviewedAt, lapses }`
+     *     (interval in days, times in ms), or null if the model was never reviewed
+     */
+    getCard(modelId) {
+        return this.cards[modelId] || null;
+    }
+
+    /**
+     * Record a review and schedule the next one
+     * @param {string} modelId - Model ID
+     * @param {number} quality - Recall quality from 0 (blackout) to 5 (perfect);
+     *     below 3 counts as forgotten
+     * @param {number} [now] - Review time in ms
+     * @returns {Object} The updated card
+     */
+    review(modelId, quality, now = Date.now()) {
+        const card = Object.assign(
+            { repetitions: 0, interval: 0, easeFactor: 2.5, lapses: 0 },
+            this.cards[modelId]
+        );
+
+        if (quality < 3) {
+            card.repetitions = 0;
+            card.interval = 1;
+            card.lapses++;
+        } else {
+            card.repetitions++;
+            if (card.repetitions === 1) {
+                card.interval = 1;
+            } else if (card.repetitions === 2) {
+                card.interval = 6;
+            } else {
+                card.interval = Math.round(card.interval * card.easeFactor);
+            }
+        }
+
+        const miss = 5 - quality;
+        card.easeFactor = Math.max(1.3, card.easeFactor + 0.1 - miss * (0.08 + miss * 0.02));
+        card.reviewedAt = now;
+        card.due = now + card.interval * SpacedRepetition.DAY;
+
+        this.cards[modelId] = card;
+        this.save();
+        return card;
+    }
+
+    /**
+     * Pick the models to study now: reviews that are due, most overdue first,
+     * followed by models never studied, in data order
+     * @param {Array<Object>} models - All models
+     * @param {Object} [options]
+     * @param {number} [options.newLimit] - Maximum number of new models
+     * @param {number} [options.now] - Current time in ms
+     * @returns {Array<Object>} Models to study
+     */
+    getQueue(models, options = {}) {
+        const now = options.now || Date.now();
+        const newLimit = options.newLimit === undefined ? 10 : options.newLimit;
+
+        const due = models
+            .filter((model) => this.cards[model.id] && this.cards[model.id].due <= now)
+            .sort((a, b) => this.cards[a.id].due - this.cards[b.id].due);
+        const fresh = models.filter((model) => !this.cards[model.id]).slice(0, newLimit);
+
+        return due.concat(fresh);
+    }
+
+    /**
+     * When the next review falls due
+     * @param {Array<Object>} models - All models
+     * @returns {number|null} Time in ms, or null if nothing has been studied
+     */
+    getNextDue(models) {
+        const dues = models
+            .filter((model) => this.cards[model.id])
+            .map((model) => this.cards[model.id].due);
+        return dues.length ? Math.min(...dues) : null;
+    }
+
+    /**
+     * How well a model is known
+     * @param {string} modelId - Model ID
+     * @returns {string} A key of SpacedRepetition.MASTERY_LEVELS
+     */
+    getMastery(modelId) {
+        const card = this.cards[modelId];
+        if (!card) return 'new';
+        if (card.repetitions < 2) return 'learning';
+        if (card.interval < 7) return 'young';
+        if (card.interval < 21) return 'mature';
+        return 'mastered';
+    }
+
+    /**
+     * Count models per mastery level
+     * @param {Array<Object>} models - All models
+     * @param {number} [now] - Current time in ms
+     * @returns {Object} Counts keyed by mastery level, plus `due`
+     */
+    getStats(models, now = Date.now()) {
+        const stats = { due: 0 };
+        Object.keys(SpacedRepetition.MASTERY_LEVELS).forEach((level) => {
+            stats[level] = 0;
+        });
+
+        models.forEach((model) => {
+            stats[this.getMastery(model.id)]++;
+            const card = this.cards[model.id];
+            if (card && card.due <= now) stats.due++;
+        });
+        return stats;
+    }
+
+    /**
+     * Forget all study progress
+     */
+    reset() {
+        this.cards = {};
+        this.save();
+    }
+}
+
+/**
+ * One day in ms
+ */
+SpacedRepetition.DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Mastery levels from least to best known, with their labels and star colours
+ */
+SpacedRepetition.MASTERY_LEVELS = {
+    new: { label: 'New', color: 0x7f8c8d },
+    learning: { label: 'Learning', color: 0xe74c3c },
+    young: { label: 'Young', color: 0xf39c12 },
+    mature: { label: 'Mature', color: 0xf1c40f },
+    mastered: { label: 'Mastered', color: 0x2ecc71 },
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SpacedRepetition;
+} else if (typeof window !== 'undefined') {
+    window.SpacedRepetition = SpacedRepetition;
+}
@@ -0,0 +1,274 @@
+/**
+ * Study Mode
+ * Flashcards for recalling a model's description from its name, or its name
+ * from its description, scheduled by SpacedRepetition
+ */
+
+class StudyMode {
+    /**
+     * @param {MentalModelsParser} parser - Source of the models to study
+     * @param {ConstellationVisualization} constellation - Stars to colour by mastery
+     * @param {SpacedRepetition} [scheduler] - Review scheduler and progress store
+     */
+    constructor(parser, constellation, scheduler) {
+        this.parser = parser;
+        this.constellation = constellation;
+        this.scheduler = scheduler || new SpacedRepetition();
+
+        this.openButton = document.getElementById('study-button');
+        this.panel = document.getElementById('study-panel');
+        this.closeButton = document.getElementById('close-study-button');
+        this.directionSelect = document.getElementById('study-direction');
+        this.stats = document.getElementById('study-stats');
+        this.promptLabel = document.getElementById('study-prompt-label');
+        this.prompt = document.getElementById('study-prompt');
+        this.answer = document.getElementById('study-answer');
+        this.revealButton = document.getElementById('study-reveal-button');
+        this.grades = document.getElementById('study-grades');
+        this.masteryToggle = document.getElementById('mastery-colors-toggle');
+        this.masteryLegend = document.getElementById('mastery-legend');
+
+        this.queue = [];
+        this.currentModel = null;
+        this.revealed = false;
+
+        this.init();
+    }
+
+    /**
+     * Initialize the study controls
+     */
+    init() {
+        this.createMasteryLegend();
+        this.addEventListeners();
+    }
+
+    /**
+     * Add event listeners for the panel, grading buttons and keyboard
+     */
+    addEventListeners() {
+        this.openButton.addEventListener('click', () => {
+            if (this.panel.hidden) {
+                this.open();
+            } else {
+                this.close();
+            }
+        });
+
+        this.closeButton.addEventListener('click', () => this.close());
+        this.revealButton.addEventListener('click', () => this.reveal());
+
+        this.directionSelect.addEventListener('change', () => {
+            if (this.currentModel) this.showCard();
+        });
+
+        this.grades.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-quality]');
+            if (button) this.grade(Number(button.dataset.quality));
+        });
+
+        this.masteryToggle.addEventListener('change', () => this.applyMasteryColors());
+
+        // Only one practice panel is open at a time
+        document.addEventListener('practicePanelOpened', (e) => {
+            if (e.detail.panel !== this.panel && !this.panel.hidden) this.close();
+        });
+
+        // Space reveals the answer; 1-4 pick a grade. Listening in the capture
+        // phase keeps Space from also pausing the rotation.
+        document.addEventListener(
+            'keydown',
+            (e) => {
+                if (this.panel.hidden || !this.currentModel) return;
+                if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+
+                if (!this.revealed && (e.code === 'Space' || e.key === 'Enter')) {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    this.reveal();
+                } else if (this.revealed && StudyMode.GRADE_KEYS[e.key] !== undefined) {
+                    e.preventDefault();
+                    this.grade(StudyMode.GRADE_KEYS[e.key]);
+                }
+            },
+            true
+        );
+    }
+
+    /**
+     * Open the study panel and start a session
+     */
+    open() {
+        this.panel.hidden = false;
+        this.openButton.classList.add('active');
+        document.dispatchEvent(
+            new CustomEvent('practicePanelOpened', { detail: { panel: this.panel } })
+        );
+        this.queue = this.scheduler.getQueue(this.parser.getAllModels());
+        this.masteryToggle.checked = true;
+        this.applyMasteryColors();
+        this.showNextCard();
+    }
+
+    /**
+     * Close the study panel; progress is already saved
+     */
+    close() {
+        this.panel.hidden = true;
+        this.openButton.classList.remove('active');
+        this.currentModel = null;
+    }
+
+    /**
+     * Show the next card in the session, or a summary when there are none left
+     */
+    showNextCard() {
+        this.currentModel = this.queue.shift() || null;
+        this.updateStats();
+
+        if (!this.currentModel) {
+            this.showFinished();
+            return;
+        }
+        this.showCard();
+    }
+
+    /**
+     * Show the prompt side of the current card
+     */
+    showCard() {
+        const model = this.currentModel;
+        const fromName = this.directionSelect.value === 'name';
+
+        this.revealed = false;
+        this.promptLabel.textContent = fromName
+            ? 'What does this model say?'
+            : 'Which model is this?';
+        this.prompt.textContent = fromName ? model.name : model.description;
+        this.prompt.classList.toggle('study-prompt-name', fromName);
+        this.answer.textContent = fromName ? model.description : model.name;
+        this.answer.hidden = true;
+        this.revealButton.hidden = false;
+        this.grades.hidden = true;
+    }
+
+    /**
+     * Show the answer and the grading buttons
+     */
+    reveal() {
+        if (!this.currentModel || this.revealed) return;
+
+        this.revealed = true;
+        this.answer.hidden = false;
+        this.revealButton.hidden = true;
+        this.grades.hidden = false;
+    }
+
+    /**
+     * Grade the current card and move on
+     * @param {number} quality - Recall quality from 0 to 5, see SpacedRepetition.review
+     */
+    grade(quality) {
+        if (!this.currentModel || !this.revealed) return;
+
+        this.scheduler.review(this.currentModel.id, quality);
+        // Forgotten cards come back later in the same session
+        if (quality < 3) {
+            this.queue.splice(Math.min(3, this.queue.length), 0, this.currentModel);
+        }
+        this.applyMasteryColors();
+        this.showNextCard();
+    }
+
+    /**
+     * Show that the session is over and when the next review is due
+     */
+    showFinished() {
+        const nextDue = this.scheduler.getNextDue(this.parser.getAllModels());
+
+        this.promptLabel.textContent = 'All caught up';
+        this.prompt.classList.remove('study-prompt-name');
+        this.prompt.textContent = nextDue
+            ? `Next review ${new Date(nextDue).toLocaleString()}.`
+            : 'No models to study.';
+        this.answer.hidden = true;
+        this.revealButton.hidden = true;
+        this.grades.hidden = true;
+    }
+
+    /**
+     * Show the session's remaining cards and overall progress
+     */
+    updateStats() {
+        const stats = this.scheduler.getStats(this.parser.getAllModels());
+        const remaining = this.queue.length + (this.currentModel ? 1 : 0);
+        this.stats.textContent =
+            `${remaining} left in this session · ${stats.learning + stats.young} learning · ` +
+            `${stats.mature + stats.mastered} known · ${stats.new} new`;
+    }
+
+    /**
+     * Build the legend explaining the mastery colours
+     */
+    createMasteryLegend() {
+        Object.values(SpacedRepetition.MASTERY_LEVELS).forEach((level) => {
+            const item = document.createElement('span');
+            item.className = 'mastery-legend-item';
+
+            const swatch = document.createElement('span');
+            swatch.className = 'color-indicator';
+            swatch.style.backgroundColor = CategoryRegistry.toCss(level.color);
+
+            item.append(document.createTextNode(level.label), swatch);
+            this.masteryLegend.appendChild(item);
+        });
+    }
+
+    /**
+     * Colour stars by mastery while the toggle is on, otherwise by category
+     */
+    applyMasteryColors() {
+        const enabled = this.masteryToggle.checked;
+        this.masteryLegend.hidden = !enabled;
+
+        if (!enabled) {
+            this.constellation.setStarColors(null);
+            return;
+        }
+
+        const colors = new Map();
+        this.parser.getAllModels().forEach((model) => {
+            const level = this.scheduler.getMastery(model.id);
+            colors.set(model.id, SpacedRepetition.MASTERY_LEVELS[level].color);
+        });
+        this.constellation.setStarColors(colors);
+    }
+
+    /**
+     * Restart after the dataset changed
+     */
+    refresh() {
+        if (!this.panel.hidden) {
+            this.open();
+        } else {
+            this.applyMasteryColors();
+        }
+    }
+}
+
+/**
+ * Keyboard shortcuts for grades, mapped to SM-2 quality
+ */
+StudyMode.GRADE_KEYS = {
+    1: 1, // Again
+    2: 3, // Hard
+    3: 4, // Good
+    4: 5, // Easy
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StudyMode;
+} else if (typeof window !== 'undefined') {
+    window.StudyMode = StudyMode;
+}
@@ -0,0 +1,237 @@
+/**
+ * URL State
+ * Mirrors the selected model, category filters, search query and camera pose
+ * in the URL hash, so views can be linked to and browser back/forward works.
+ *
+ * Example: #model=nash-equilibrium&cats=Economics%20and%20Strategy&q=game&cam=0,0,50,0.1,-0.4
+ */
+
+class UrlState {
+    /**
+     * @param {SearchManager} searchManager - Owns the filters, search and details panel
+     * @param {ConstellationVisualization} constellation - Owns the camera and stars
+     */
+    constructor(searchManager, constellation) {
+        this.searchManager = searchManager;
+        this.constellation = constellation;
+        this.applying = false; // True while restoring, so restoring does not write back
+        this.pendingKinds = new Set();
+        this.writeTimeout = null;
+        this.lastPushedKind = null;
+
+        this.addEventListeners();
+    }
+
+    /**
+     * Listen for view changes and browser navigation
+     */
+    addEventListeners() {
+        document.addEventListener('viewStateChanged', (e) => {
+            if (this.applying) return;
+            this.pendingKinds.add(e.detail.kind);
+            clearTimeout(this.writeTimeout);
+            this.writeTimeout = setTimeout(() => this.write(), 150);
+        });
+
+        // Fired for back/forward and for hashes edited by hand
+        window.addEventListener('popstate', () => {
+            this.restore();
+        });
+    }
+
+    /**
+     * Apply the state in the current URL hash
+     */
+    restore() {
+        this.apply(UrlState.parse(window.location.hash));
+    }
+
+    /**
+     * Write the current view to the URL. Camera moves replace the current
+     * history entry; other changes add one, except that consecutive search
+     * edits share an entry.
+     */
+    write() {
+        const kinds = this.pendingKinds;
+        this.pendingKinds = new Set();
+
+        const hash = UrlState.serialize(this.capture());
+        if (hash === window.location.hash.replace(/^#/, '')) return;
+
+        const url = `${window.location.pathname}${window.location.search}${hash ? `#${hash}` : ''}`;
+        const kind = ['model', 'filters', 'query'].find((name) => kinds.has(name));
+
+        if (!kind || (kind === 'query' && this.lastPushedKind === 'query')) {
+            history.replaceState(null, '', url);
+        } else {
+            history.pushState(null, '', url);
+            this.lastPushedKind = kind;
+        }
+    }
+
+    /**
+     * Read the current view from the managers
+     * @returns {Object} `{ model, categories, query, camera }`
+     */
+    capture() {
+        const allCategories = this.searchManager.parser.getCategoryNames();
+        const active = allCategories.filter((category) =>
+            this.searchManager.activeFilters.has(category)
+        );
+        const model = this.searchManager.detailsModel;
+
+        return {
+            model: model ? model.id : null,
+            categories: active.length === allCategories.length ? null : active,
+            query: this.searchManager.searchInput.value.trim(),
+            camera: this.constellation.getCameraState(),
+        };
+    }
+
+    /**
+     * Show a view; anything missing from the state falls back to the default,
+     * except that a selected model without a camera pose is flown to
+     * @param {Object} state - `{ model, categories, query, camera }` from UrlState.parse
+     */
+    apply(state) {
+        this.applying = true;
+        clearTimeout(this.writeTimeout);
+        this.pendingKinds.clear();
+
+        try {
+            const allCategories = this.searchManager.parser.getCategoryNames();
+            this.searchManager.setActiveCategories(
+                state.categories
+                    ? state.categories.filter((category) => allCategories.includes(category))
+                    : allCategories
+            );
+
+            this.searchManager.searchInput.value = state.query;
+            this.searchManager.handleSearch(state.query);
+
+            const model = state.model && this.searchManager.parser.findModel(state.model);
+            const star = model && this.constellation.stars.get(model.id);
+            if (star) {
+                this.constellation.selectStar(star);
+            } else {
+                this.searchManager.hideDetailsPanel();
+            }
+
+            // Without a camera pose, a selected star keeps the flight that frames it
+            if (state.camera) {
+                this.constellation.setCameraState(state.camera);
+            } else if (!star) {
+                this.constellation.setCameraState(UrlState.DEFAULT_CAMERA);
+            }
+        } finally {
+            this.applying = false;
+        }
+    }
+
+    /**
+     * Turn a view into a hash (without the leading #). Defaults are left out
+     * so the plain view has an empty hash.
+     * @param {Object} state - `{ model, categories, query, camera }`
+     * @returns {string} Hash
+     */
+    static serialize(state) {
+        const parts = [];
+        if (state.model) {
+            parts.push(`model=${encodeURIComponent(state.model)}`);
+        }
+        if (state.categories) {
+            // Names are encoded individually so commas inside them survive
+            parts.push(`cats=${state.categories.map(encodeURIComponent).join(',')}`);
+        }
+        if (state.query) {
+            parts.push(`q=${encodeURIComponent(state.query)}`);
+        }
+        if (state.camera && !UrlState.isDefaultCamera(state.camera)) {
+            const { position, rotation } = state.camera;
+            const values = [position.x, position.y, position.z, rotation.x, rotation.y];
+            parts.push(`cam=${values.map((value) => Number(value.toFixed(2))).join(',')}`);
+        }
+        return parts.join('&');
+    }
+
+    /**
+     * Parse a hash written by UrlState.serialize. Unknown keys and malformed
+     * values are ignored.
+     * @param {string} hash - Hash with or without the leading #
+     * @returns {Object} `{ model, categories, query, camera }`; categories is
+     *     null when every category is shown, camera is null when not given
+     */
+    static parse(hash) {
+        const state = { model: null, categories: null, query: '', camera: null };
+
+        hash.replace(/^#/, '')
+            .split('&')
+            .forEach((part) => {
+                const separator = part.indexOf('=');
+                if (separator === -1) return;
+                const key = part.slice(0, separator);
+                const value = part.slice(separator + 1);
+
+                try {
+                    if (key === 'model') {
+                        state.model = decodeURIComponent(value) || null;
+                    } else if (key === 'cats') {
+                        state.categories = value ? value.split(',').map(decodeURIComponent) : [];
+                    } else if (key === 'q') {
+                        state.query = decodeURIComponent(value);
+                    } else if (key === 'cam') {
+                        state.camera = UrlState.parseCamera(value);
+                    }
+                } catch (error) {
+                    // Malformed percent-encoding; keep the default for this key
+                }
+            });
+
+        return state;
+    }
+
+    /**
+     * Parse `x,y,z,rotationX,rotationY`
+     * @returns {Object|null} Camera state, or null if malformed
+     */
+    static parseCamera(value) {
+        const numbers = value.split(',').map(Number);
+        if (numbers.length !== 5 || numbers.some((number) => !Number.isFinite(number))) {
+            return null;
+        }
+        return {
+            position: { x: numbers[0], y: numbers[1], z: numbers[2] },
+            rotation: { x: numbers[3], y: numbers[4] },
+        };
+    }
+
+    /**
+     * Whether a camera state matches the default view (to two decimals)
+     */
+    static isDefaultCamera(camera) {
+        const defaults = UrlState.DEFAULT_CAMERA;
+        const same = (a, b) => Math.abs(a - b) < 0.005;
+        return (
+            same(camera.position.x, defaults.position.x) &&
+            same(camera.position.y, defaults.position.y) &&
+            same(camera.position.z, defaults.position.z) &&
+            same(camera.rotation.x, defaults.rotation.x) &&
+            same(camera.rotation.y, defaults.rotation.y)
+        );
+    }
+}
+
+/**
+ * Camera pose used when the URL has none
+ */
+UrlState.DEFAULT_CAMERA = {
+    position: { x: 0, y: 0, z: 50 },
+    rotation: { x: 0, y: 0 },
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = UrlState;
+} else if (typeof window !== 'undefined') {
+    window.UrlState = UrlState;
+}
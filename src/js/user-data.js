@@ -0,0 +1,198 @@
+/**
+ * User Data
+ * Persists view history, favourites, personal notes and quiz scores in localStorage,
+ * keyed by model ID so they survive reloads and edits to the data file
+ */
+
+class UserDataStore {
+    /**
+     * @param {Storage} [storage] - Where to persist; defaults to localStorage.
+     *     If storage is unavailable (e.g. disabled cookies) data lasts for the session only.
+     * @param {string} [key] - Storage key
+     */
+    constructor(storage, key = 'constellation-user-data') {
+        this.storage = storage || UserDataStore.getLocalStorage();
+        this.key = key;
+        this.maxHistory = 500; // Oldest entries are dropped beyond this
+        this.data = this.load();
+    }
+
+    /**
+     * Read stored data, starting empty if there is none or it is unreadable
+     * @returns {Object} `{ history, favorites, notes, quizScores }`
+     */
+    load() {
+        const empty = { version: 1, history: [], favorites: [], notes: {}, quizScores: {} };
+        if (!this.storage) return empty;
+
+        try {
+            const stored = JSON.parse(this.storage.getItem(this.key));
+            if (!stored || typeof stored !== 'object') return empty;
+            return {
+                version: 1,
+                history: Array.isArray(stored.history) ? stored.history : [],
+                favorites: Array.isArray(stored.favorites) ? stored.favorites : [],
+                notes: stored.notes && typeof stored.notes === 'object' ? stored.notes : {},
+                quizScores:
+                    stored.quizScores && typeof stored.quizScores === 'object'
+                        ? stored.quizScores
+                        : {},
+            };
+        } catch (error) {
+            console.warn('Ignoring unreadable user data:', error);
+            return empty;
+        }
+    }
+
+    /**
+     * Write the data back to storage
+     */
+    save() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(this.key, JSON.stringify(this.data));
+        } catch (error) {
+            // Quota exceeded or storage disabled; keep working in memory
+            console.warn('Could not save user data:', error);
+        }
+    }
+
+    /**
+     * Record that a model was viewed, moving it to the top of the history
+     * @param {Object} model - Viewed model
+     */
+    recordView(model) {
+        const history = this.data.history;
+        const index = history.findIndex((entry) => entry.id === model.id);
+        const entry = index > -1 ? history.splice(index, 1)[0] : { id: model.id, views: 0 };
+
+        entry.name = model.name;
+        entry.viewedAt = Date.now();
+        entry.views++;
+        history.unshift(entry);
+
+        if (history.length > this.maxHistory) {
+            history.length = this.maxHistory;
+        }
+        this.save();
+    }
+
+    /**
+     * Get the view history, most recent first
+     * @returns {Array<Object>} `{ id, name, viewedAt, views }`; viewedAt is a timestamp in ms
+     */
+    getHistory() {
+        return this.data.history.slice();
+    }
+
+    /**
+     * Forget the view history; favourites and notes are kept
+     */
+    clearHistory() {
+        this.data.history = [];
+        this.save();
+    }
+
+    /**
+     * @param {string} modelId - Model ID
+     * @returns {boolean} Whether the model is a favourite
+     */
+    isFavorite(modelId) {
+        return this.data.favorites.includes(modelId);
+    }
+
+    /**
+     * Add a model to the favourites, or remove it if it is one already
+     * @param {string} modelId - Model ID
+     * @returns {boolean} Whether the model is now a favourite
+     */
+    toggleFavorite(modelId) {
+        const index = this.data.favorites.indexOf(modelId);
+        if (index > -1) {
+            this.data.favorites.splice(index, 1);
+        } else {
+            this.data.favorites.push(modelId);
+        }
+        this.save();
+        return index === -1;
+    }
+
+    /**
+     * @returns {Array<string>} Favourite model IDs in the order they were added
+     */
+    getFavorites() {
+        return this.data.favorites.slice();
+    }
+
+    /**
+     * @param {string} modelId - Model ID
+     * @returns {string} The note for a model, or an empty string
+     */
+    getNote(modelId) {
+        const note = this.data.notes[modelId];
+        return note ? note.text : '';
+    }
+
+    /**
+     * Save a note for a model; an empty note deletes it
+     * @param {string} modelId - Model ID
+     * @param {string} text - Note text
+     */
+    setNote(modelId, text) {
+        if (text.trim()) {
+            this.data.notes[modelId] = { text: text, updatedAt: Date.now() };
+        } else {
+            delete this.data.notes[modelId];
+        }
+        this.save();
+    }
+
+    /**
+     * Count a quiz answer towards a category's score
+     * @param {string} category - Category the question was about
+     * @param {boolean} correct - Whether the answer was right
+     */
+    recordQuizAnswer(category, correct) {
+        const score = this.data.quizScores[category] || { correct: 0, total: 0 };
+        score.total++;
+        if (correct) score.correct++;
+        this.data.quizScores[category] = score;
+        this.save();
+    }
+
+    /**
+     * @returns {Object} `{ correct, total }` keyed by category
+     */
+    getQuizScores() {
+        return Object.assign({}, this.data.quizScores);
+    }
+
+    /**
+     * Forget all quiz scores
+     */
+    resetQuizScores() {
+        this.data.quizScores = {};
+        this.save();
+    }
+
+    /**
+     * Get localStorage if the browser allows access to it
+     * @returns {Storage|null}
+     */
+    static getLocalStorage() {
+        try {
+            return typeof localStorage !== 'undefined' ? localStorage : null;
+        } catch (error) {
+            // Accessing localStorage throws when storage is blocked
+            return null;
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = UserDataStore;
+} else if (typeof window !== 'undefined') {
+    window.UserDataStore = UserDataStore;
+}